@@ -0,0 +1,566 @@
+// Dataset rules shared by the explorer (script.js) and the Node validator.
+// In the browser this file is loaded before script.js and defines globals;
+// in Node it can be run directly: `node dataset.js [path/to/data.json ...]`
+
+// Kinds of relationship a sauce can have to each of its parents
+const RELATIONSHIP_TYPES = {
+    'derivative': { label: 'Derivative of', legend: 'Derivatives', color: '#999' },
+    'regional-variant': { label: 'Regional variant of', legend: 'Regional variants', color: '#16a085' },
+    'inspired-by': { label: 'Inspired by', legend: 'Inspired by', color: '#8e44ad' }
+};
+const DEFAULT_RELATIONSHIP_TYPE = 'derivative';
+
+// Categories an ingredient registry entry can have
+const INGREDIENT_CATEGORIES = {
+    'dairy': { label: 'Dairy', color: '#f5cba7' },
+    'egg': { label: 'Egg', color: '#f7dc6f' },
+    'meat': { label: 'Meat', color: '#c0392b' },
+    'seafood': { label: 'Fish & seafood', color: '#2e86c1' },
+    'vegetable': { label: 'Vegetable', color: '#58d68d' },
+    'fruit': { label: 'Fruit', color: '#ec7063' },
+    'aromatic': { label: 'Aromatic', color: '#af7ac5' },
+    'herb': { label: 'Herb', color: '#239b56' },
+    'spice': { label: 'Spice', color: '#a04000' },
+    'chili': { label: 'Chili', color: '#e74c3c' },
+    'nut': { label: 'Nuts & seeds', color: '#b9770e' },
+    'acid': { label: 'Acid', color: '#d4ac0d' },
+    'fat': { label: 'Fat', color: '#f0b27a' },
+    'thickener': { label: 'Thickener', color: '#d5d8dc' },
+    'sweetener': { label: 'Sweetener', color: '#f1948a' },
+    'stock': { label: 'Stock', color: '#935116' },
+    'alcohol': { label: 'Alcohol', color: '#7d3c98' },
+    'fermented': { label: 'Fermented', color: '#6e2c00' },
+    'seasoning': { label: 'Seasoning', color: '#aab7b8' },
+    'other': { label: 'Other', color: '#7fbbff' }
+};
+const DEFAULT_INGREDIENT_CATEGORY = 'other';
+
+// Dietary flags an ingredient registry entry can carry in `contains`
+const DIETARY_FLAGS = {
+    'dairy': { label: 'Dairy' },
+    'gluten': { label: 'Gluten' },
+    'egg': { label: 'Egg' },
+    'fish': { label: 'Fish/shellfish' },
+    'nuts': { label: 'Nuts' },
+    'soy': { label: 'Soy' },
+    'meat': { label: 'Meat' },
+    'alcohol': { label: 'Alcohol' }
+};
+
+// Build the node id used for an ingredient string
+function getIngredientId(name) {
+    return name.toLowerCase().replace(/\s+/g, '_');
+}
+
+// Build a function that resolves an ingredient string through the registry,
+// matching entry names and aliases while ignoring case and accents.
+// Strings that match no entry keep an id derived from the string itself
+function createIngredientResolver(registry) {
+    const entriesByKey = new Map();
+    (Array.isArray(registry) ? registry : []).forEach(entry => {
+        if (!entry || typeof entry.id !== 'string' || typeof entry.name !== 'string') return;
+        [entry.name, ...(Array.isArray(entry.aliases) ? entry.aliases : [])].forEach(alias => {
+            if (typeof alias !== 'string') return;
+            const key = foldName(alias);
+            if (!entriesByKey.has(key)) entriesByKey.set(key, entry);
+        });
+    });
+
+    return name => {
+        const entry = entriesByKey.get(foldName(name));
+        if (!entry) {
+            return {
+                id: getIngredientId(name),
+                name,
+                aliases: [],
+                category: DEFAULT_INGREDIENT_CATEGORY,
+                contains: [],
+                registered: false
+            };
+        }
+
+        return {
+            id: entry.id,
+            name: entry.name,
+            aliases: Array.isArray(entry.aliases) ? entry.aliases : [],
+            category: INGREDIENT_CATEGORIES[entry.category] ? entry.category : DEFAULT_INGREDIENT_CATEGORY,
+            contains: Array.isArray(entry.contains) ? entry.contains.filter(flag => DIETARY_FLAGS[flag]) : [],
+            registered: true
+        };
+    };
+}
+
+// Normalize a sauce's parents into [{ id, type, description }],
+// accepting either the `parents` array or the legacy `parent` field
+function getParentEntries(sauce) {
+    if (Array.isArray(sauce.parents)) {
+        return sauce.parents
+            .map(entry => typeof entry === 'string' ? { id: entry } : entry)
+            .filter(entry => entry && entry.id)
+            .map(entry => ({
+                id: entry.id,
+                type: RELATIONSHIP_TYPES[entry.type] ? entry.type : DEFAULT_RELATIONSHIP_TYPE,
+                description: entry.description || ''
+            }));
+    }
+
+    if (sauce.parent) {
+        return [{
+            id: sauce.parent,
+            type: DEFAULT_RELATIONSHIP_TYPE,
+            description: sauce.relationshipToParent || ''
+        }];
+    }
+
+    return [];
+}
+
+// Normalize a node's `country` (a code or a list of codes) into an array
+function getCountryCodes(node) {
+    const codes = Array.isArray(node.country) ? node.country : [node.country];
+    return codes
+        .filter(code => typeof code === 'string' && /^[A-Za-z]{2}$/.test(code.trim()))
+        .map(code => code.trim().toUpperCase());
+}
+
+// Lowercase and strip accents so "Béchamel" and "bechamel" compare equal
+function foldName(name) {
+    return name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+}
+
+// Reduce a folded name to a rough singular form ("tomatoes" -> "tomato")
+function singularizeName(name) {
+    return name
+        .replace(/ies$/, 'y')
+        .replace(/(ch|sh|s|x|z|o)es$/, '$1')
+        .replace(/([^s])s$/, '$1');
+}
+
+// Levenshtein distance, used to spot near-miss sauce names
+function editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Check a raw data.json object against the conventions processData() relies on.
+// Returns { errors, warnings }, each a list of { code, message, nodeId }
+function validateDataset(data) {
+    const errors = [];
+    const warnings = [];
+    const error = (code, message, nodeId = null) => errors.push({ code, message, nodeId });
+    const warn = (code, message, nodeId = null) => warnings.push({ code, message, nodeId });
+
+    if (!data || !Array.isArray(data.nodes)) {
+        error('missing-nodes', 'The dataset has no "nodes" array.');
+        return { errors, warnings };
+    }
+
+    const sauces = data.nodes.filter(node => node && typeof node === 'object');
+    const saucesById = new Map();
+    const saucesByName = new Map();
+    const isText = value => typeof value === 'string' && value.trim() !== '';
+    const hasId = sauce => isText(sauce.id);
+
+    // Required fields and duplicate ids. Ids and names must be text, since
+    // everything else looks sauces up and compares them by these
+    sauces.forEach((sauce, index) => {
+        if (!hasId(sauce)) {
+            const label = `Node #${index + 1}${isText(sauce.name) ? ` ("${sauce.name}")` : ''}`;
+            if (sauce.id === undefined || sauce.id === null || sauce.id === '') {
+                error('missing-id', `${label} has no id.`);
+            } else {
+                error('invalid-id', `${label} has an id that is not text: ${JSON.stringify(sauce.id)}.`);
+            }
+            return;
+        }
+        if (sauce.name === undefined || sauce.name === null || sauce.name === '') {
+            error('missing-name', `Sauce "${sauce.id}" has no name.`, sauce.id);
+        } else if (!isText(sauce.name)) {
+            error('invalid-name', `Sauce "${sauce.id}" has a name that is not text: ${JSON.stringify(sauce.name)}.`, sauce.id);
+        }
+        if (saucesById.has(sauce.id)) {
+            error('duplicate-id', `The id "${sauce.id}" is used by more than one sauce.`, sauce.id);
+        } else {
+            saucesById.set(sauce.id, sauce);
+        }
+        if (isText(sauce.name)) {
+            if (saucesByName.has(sauce.name)) {
+                warn('duplicate-name', `The name "${sauce.name}" is used by more than one sauce, so ingredient lists cannot tell them apart.`, sauce.id);
+            } else {
+                saucesByName.set(sauce.name, sauce);
+            }
+        }
+    });
+
+    // Parents: dangling references and unknown relationship types
+    sauces.filter(hasId).forEach(sauce => {
+        if (sauce.parents !== undefined && !Array.isArray(sauce.parents)) {
+            error('invalid-parents', `Sauce "${sauce.id}" has a "parents" field that is not a list.`, sauce.id);
+        }
+        if (Array.isArray(sauce.parents)) {
+            sauce.parents.forEach(entry => {
+                if (entry && entry.type && !RELATIONSHIP_TYPES[entry.type]) {
+                    warn('unknown-relationship', `Sauce "${sauce.id}" uses the unknown relationship type "${entry.type}"; it will be shown as "${DEFAULT_RELATIONSHIP_TYPE}".`, sauce.id);
+                }
+            });
+        }
+        getParentEntries(sauce).forEach(parent => {
+            if (typeof parent.id !== 'string') {
+                error('invalid-parent', `Sauce "${sauce.id}" has a parent id that is not text: ${JSON.stringify(parent.id)}.`, sauce.id);
+            } else if (parent.id === sauce.id) {
+                error('self-parent', `Sauce "${sauce.id}" lists itself as a parent.`, sauce.id);
+            } else if (!saucesById.has(parent.id)) {
+                error('dangling-parent', `Sauce "${sauce.id}" has parent "${parent.id}", which is not the id of any sauce.`, sauce.id);
+            }
+        });
+    });
+
+    // Parent chains must not loop, and neither may sauces used as ingredients
+    // of each other, since no sauce in such a loop could be made first
+    const reportCycles = (code, label, getNextIds) => {
+        const state = new Map(); // id -> 'visiting' | 'done'
+        const reportedCycles = new Set();
+        const visit = (id, path) => {
+            if (state.get(id) === 'done') return;
+            if (state.get(id) === 'visiting') {
+                const cycle = path.slice(path.indexOf(id));
+                const key = [...cycle].sort().join('|');
+                if (!reportedCycles.has(key)) {
+                    reportedCycles.add(key);
+                    error(code, `${label}: ${[...cycle, id].join(' → ')}.`, id);
+                }
+                return;
+            }
+            state.set(id, 'visiting');
+            path.push(id);
+            getNextIds(saucesById.get(id))
+                .filter(nextId => saucesById.has(nextId))
+                .forEach(nextId => visit(nextId, path));
+            path.pop();
+            state.set(id, 'done');
+        };
+        saucesById.forEach((sauce, id) => visit(id, []));
+    };
+    reportCycles('parent-cycle', 'Parent chain loops', sauce => getParentEntries(sauce)
+        .map(parent => parent.id)
+        .filter(parentId => parentId !== sauce.id));
+    reportCycles('component-cycle', 'Sauces used as ingredients loop', sauce => (Array.isArray(sauce.ingredients) ? sauce.ingredients : [])
+        .filter(ingredient => saucesByName.has(ingredient))
+        .map(ingredient => saucesByName.get(ingredient).id));
+
+    // Countries and Wikipedia links
+    sauces.filter(hasId).forEach(sauce => {
+        if (sauce.country !== undefined && sauce.country !== null) {
+            const given = Array.isArray(sauce.country) ? sauce.country : [sauce.country];
+            if (getCountryCodes(sauce).length !== given.length) {
+                warn('invalid-country', `Sauce "${sauce.id}" has a country that is not a two-letter ISO code: ${JSON.stringify(sauce.country)}.`, sauce.id);
+            }
+        }
+        if (sauce.wikipedia !== undefined && !isWikipediaUrl(sauce.wikipedia)) {
+            warn('malformed-wikipedia', `Sauce "${sauce.id}" has a malformed Wikipedia URL: "${sauce.wikipedia}".`, sauce.id);
+        }
+    });
+
+    // Ingredient registry: duplicate ids, aliases claimed twice, unknown categories
+    if (data.ingredients !== undefined && !Array.isArray(data.ingredients)) {
+        error('invalid-registry', 'The "ingredients" registry is not a list.');
+    }
+    const registry = Array.isArray(data.ingredients) ? data.ingredients : [];
+    const registryIds = new Set();
+    const registryKeys = new Map(); // folded name or alias -> entry id
+    registry.forEach((entry, index) => {
+        if (!entry || !isText(entry.id) || !isText(entry.name)) {
+            error('invalid-registry-entry', `Ingredient registry entry #${index + 1} needs both an id and a name, as text.`);
+            return;
+        }
+        if (registryIds.has(entry.id)) {
+            error('duplicate-ingredient-id', `The ingredient id "${entry.id}" is used by more than one registry entry.`);
+        }
+        registryIds.add(entry.id);
+        if (entry.category !== undefined && !INGREDIENT_CATEGORIES[entry.category]) {
+            warn('unknown-category', `Ingredient "${entry.id}" has the unknown category "${entry.category}"; it will be shown as "${DEFAULT_INGREDIENT_CATEGORY}".`);
+        }
+        if (entry.contains !== undefined && !Array.isArray(entry.contains)) {
+            error('invalid-contains', `Ingredient "${entry.id}" has a "contains" field that is not a list.`);
+        }
+        (Array.isArray(entry.contains) ? entry.contains : []).forEach(flag => {
+            if (!DIETARY_FLAGS[flag]) {
+                warn('unknown-dietary-flag', `Ingredient "${entry.id}" has the unknown dietary flag "${flag}".`);
+            }
+        });
+        [entry.name, ...(Array.isArray(entry.aliases) ? entry.aliases : [])].forEach(alias => {
+            if (!isText(alias)) {
+                error('invalid-alias', `Ingredient "${entry.id}" has an alias that is not text: ${JSON.stringify(alias)}.`);
+                return;
+            }
+            const key = foldName(alias);
+            if (registryKeys.has(key) && registryKeys.get(key) !== entry.id) {
+                error('duplicate-alias', `"${alias}" is claimed by both ingredient "${registryKeys.get(key)}" and ingredient "${entry.id}".`);
+            } else {
+                registryKeys.set(key, entry.id);
+            }
+            if (saucesByName.has(alias)) {
+                warn('alias-is-sauce', `Ingredient "${entry.id}" lists "${alias}", which is a sauce name; the sauce takes precedence.`);
+            }
+        });
+    });
+    const resolveIngredient = createIngredientResolver(registry);
+
+    // Ingredients: near-miss sauce names, unregistered strings and case or plural duplicates
+    const foldedSauceNames = Array.from(saucesByName.keys()).map(name => ({ name, folded: foldName(name) }));
+    const nearMisses = new Map(); // folded ingredient -> closest sauce name, worked out once per spelling
+    const findNearMiss = folded => {
+        if (!nearMisses.has(folded)) {
+            // Names whose lengths differ by more than two cannot be within two edits
+            nearMisses.set(folded, foldedSauceNames.find(({ folded: sauceName }) =>
+                sauceName === folded ||
+                (folded.length >= 5 && Math.abs(sauceName.length - folded.length) <= 2 && editDistance(sauceName, folded) <= 2)
+            ));
+        }
+        return nearMisses.get(folded);
+    };
+    const ingredientVariants = new Map(); // singular folded name -> Map(spelling -> sauce ids)
+    sauces.filter(hasId).forEach(sauce => {
+        if (sauce.ingredients === undefined) return;
+        if (!Array.isArray(sauce.ingredients)) {
+            error('invalid-ingredients', `Sauce "${sauce.id}" has an "ingredients" field that is not a list.`, sauce.id);
+            return;
+        }
+        sauce.ingredients.forEach(ingredient => {
+            if (typeof ingredient !== 'string' || ingredient.trim() === '') {
+                error('invalid-ingredient', `Sauce "${sauce.id}" has an empty or non-text ingredient.`, sauce.id);
+                return;
+            }
+            if (saucesByName.has(ingredient)) return;
+
+            const folded = foldName(ingredient);
+            const nearMiss = findNearMiss(folded);
+            if (nearMiss) {
+                warn('near-miss-sauce', `Sauce "${sauce.id}" lists "${ingredient}", which is not a sauce name; did you mean "${nearMiss.name}"?`, sauce.id);
+            }
+
+            const resolved = resolveIngredient(ingredient);
+            if (resolved.registered) return;
+            if (registry.length > 0) {
+                warn('unregistered-ingredient', `Sauce "${sauce.id}" lists "${ingredient}", which is not in the ingredient registry.`, sauce.id);
+            }
+
+            const key = singularizeName(folded);
+            if (!ingredientVariants.has(key)) ingredientVariants.set(key, new Map());
+            const spellings = ingredientVariants.get(key);
+            if (!spellings.has(ingredient)) spellings.set(ingredient, []);
+            spellings.get(ingredient).push(sauce.id);
+        });
+    });
+    ingredientVariants.forEach(spellings => {
+        if (spellings.size < 2) return;
+        const list = Array.from(spellings.entries())
+            .map(([spelling, ids]) => `"${spelling}" (${ids.join(', ')})`)
+            .join(', ');
+        const firstId = spellings.values().next().value[0];
+        warn('ingredient-variant', `The same ingredient is spelled several ways: ${list}.`, firstId);
+    });
+
+    return { errors, warnings };
+}
+
+// Merge datasets in order into one, tagging each sauce with the `sources` it
+// came from. When a sauce or registry id is already present:
+// - fields only the later dataset sets are added;
+// - ingredients, aliases and dietary flags are combined without duplicates;
+// - parents are combined, and a parent both list keeps the earlier entry;
+// - a field both set differently keeps the earlier value and is reported.
+// Returns { data, conflicts }, conflicts being validator-style warnings
+function mergeDatasets(datasets) {
+    const merged = { nodes: [], ingredients: [] };
+    const conflicts = [];
+    const saucesById = new Map();
+    const ingredientsById = new Map();
+    const listFields = ['ingredients', 'aliases', 'contains'];
+    const parentFields = ['parent', 'relationshipToParent', 'parents'];
+
+    const mergeEntry = (existing, entry, source, kind) => {
+        Object.keys(entry).forEach(key => {
+            if (key === 'id' || parentFields.includes(key)) return;
+            if (existing[key] === undefined) {
+                existing[key] = JSON.parse(JSON.stringify(entry[key]));
+            } else if (listFields.includes(key) && Array.isArray(existing[key]) && Array.isArray(entry[key])) {
+                entry[key].forEach(item => {
+                    if (!existing[key].includes(item)) existing[key].push(item);
+                });
+            } else if (JSON.stringify(existing[key]) !== JSON.stringify(entry[key])) {
+                conflicts.push({
+                    code: 'source-conflict',
+                    message: `${kind} "${existing.id}" has a different "${key}" in ${source}; keeping the one from ${existing.sources[0]}.`,
+                    nodeId: kind === 'Sauce' ? existing.id : null
+                });
+            }
+        });
+
+        if (kind !== 'Sauce') return;
+        const parents = getParentEntries(existing);
+        const added = getParentEntries(entry).filter(parent => !parents.some(p => p.id === parent.id));
+        if (added.length > 0) {
+            parentFields.forEach(key => delete existing[key]);
+            existing.parents = [...parents, ...added];
+        }
+    };
+
+    const addEntries = (entries, byId, target, source, kind) => {
+        (entries || []).forEach(entry => {
+            if (!entry || typeof entry !== 'object') return;
+            const existing = entry.id ? byId.get(entry.id) : null;
+            if (!existing) {
+                const copy = { ...JSON.parse(JSON.stringify(entry)), sources: [source] };
+                if (entry.id) byId.set(entry.id, copy);
+                target.push(copy);
+                return;
+            }
+            if (!existing.sources.includes(source)) existing.sources.push(source);
+            mergeEntry(existing, entry, source, kind);
+        });
+    };
+
+    datasets.forEach(({ source, data }) => {
+        if (data._description && !merged._description) merged._description = data._description;
+        addEntries(data.nodes, saucesById, merged.nodes, source, 'Sauce');
+        addEntries(data.ingredients, ingredientsById, merged.ingredients, source, 'Ingredient');
+    });
+
+    return { data: merged, conflicts };
+}
+
+// Build a synthetic dataset of `count` sauces for benchmarks. Sauces use
+// three to eight registry ingredients, sometimes an earlier sauce as a
+// component, and take parents only among earlier sauces, so there are no
+// loops. The same seed always gives the same dataset
+function generateDataset(count, seed = 1) {
+    let state = seed;
+    const random = () => {
+        state = (state * 1664525 + 1013904223) % 4294967296;
+        return state / 4294967296;
+    };
+    const pick = list => list[Math.floor(random() * list.length)];
+
+    const categories = Object.keys(INGREDIENT_CATEGORIES);
+    const ingredients = Array.from({ length: Math.max(50, Math.round(count / 5)) }, (_, i) => ({
+        id: `ingredient_${i + 1}`,
+        name: `Ingredient ${i + 1}`,
+        category: pick(categories)
+    }));
+
+    const adjectives = ['Smoked', 'Green', 'Red', 'Sweet', 'Spicy', 'Creamy', 'Sour', 'Brown', 'White', 'Golden'];
+    const bases = ['Pepper', 'Garlic', 'Herb', 'Tomato', 'Mustard', 'Butter', 'Chili', 'Lemon', 'Mushroom', 'Onion'];
+    const countries = ['FR', 'IT', 'ES', 'MX', 'JP', 'CN', 'KR', 'US', 'GB', 'TH', 'IN', 'PE'];
+    const types = Object.keys(RELATIONSHIP_TYPES);
+
+    const nodes = [];
+    for (let i = 0; i < count; i++) {
+        const sauce = {
+            id: `sauce_${i + 1}`,
+            name: `${pick(adjectives)} ${pick(bases)} Sauce ${i + 1}`,
+            type: 'sauce',
+            country: pick(countries),
+            description: `Generated sauce number ${i + 1}.`,
+            ingredients: []
+        };
+
+        const size = 3 + Math.floor(random() * 6);
+        while (sauce.ingredients.length < size) {
+            const name = pick(ingredients).name;
+            if (!sauce.ingredients.includes(name)) sauce.ingredients.push(name);
+        }
+        if (nodes.length > 0 && random() < 0.2) sauce.ingredients.push(pick(nodes).name);
+
+        if (nodes.length > 1 && random() < 0.1) {
+            const first = pick(nodes);
+            const second = pick(nodes.filter(node => node !== first));
+            sauce.parents = [first, second].map(parent => ({ id: parent.id, type: pick(types) }));
+        } else if (nodes.length > 0 && random() < 0.9) {
+            sauce.parent = pick(nodes).id;
+            sauce.relationshipToParent = 'Generated variation';
+        } else {
+            sauce.isMotherSauce = true;
+        }
+
+        nodes.push(sauce);
+    }
+
+    return { nodes, ingredients };
+}
+
+// Check that a URL points at an article on some language edition of Wikipedia
+function isWikipediaUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' &&
+            /(^|\.)wikipedia\.org$/.test(url.hostname) &&
+            /^\/wiki\/[^/]+$/.test(url.pathname);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Node entry point: print the report and exit non-zero when there are errors.
+// Several files are merged in order, as the explorer does with extra datasets
+function runValidatorCli(args) {
+    const fs = require('fs');
+    const path = require('path');
+    const files = (args.length > 0 ? args : [path.join(__dirname, 'data.json')]).map(file => path.resolve(file));
+
+    const datasets = files.map(file => {
+        try {
+            return { source: path.basename(file), data: JSON.parse(fs.readFileSync(file, 'utf8')) };
+        } catch (err) {
+            console.error(`Could not read ${file}: ${err.message}`);
+            process.exit(2);
+        }
+    });
+
+    let data = datasets[0].data;
+    let conflicts = [];
+    if (datasets.length > 1) {
+        ({ data, conflicts } = mergeDatasets(datasets));
+    }
+
+    const { errors, warnings } = validateDataset(data);
+    warnings.push(...conflicts);
+    errors.forEach(issue => console.log(`error    [${issue.code}] ${issue.message}`));
+    warnings.forEach(issue => console.log(`warning  [${issue.code}] ${issue.message}`));
+    console.log(`\n${datasets.map(dataset => dataset.source).join(' + ')}: ${errors.length} error(s), ${warnings.length} warning(s)`);
+    process.exit(errors.length > 0 ? 1 : 0);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        RELATIONSHIP_TYPES,
+        DEFAULT_RELATIONSHIP_TYPE,
+        INGREDIENT_CATEGORIES,
+        DEFAULT_INGREDIENT_CATEGORY,
+        DIETARY_FLAGS,
+        getIngredientId,
+        createIngredientResolver,
+        getParentEntries,
+        getCountryCodes,
+        foldName,
+        validateDataset,
+        mergeDatasets,
+        generateDataset
+    };
+
+    if (require.main === module) {
+        runValidatorCli(process.argv.slice(2));
+    }
+}
@@ -1,6 +1,10 @@
 // Global variables
 let graph;
 let simulation;
+let layoutKey = ''; // Layout, nodes and links last arranged, to tell when they change
+let layoutMode = 'force'; // 'force', or a genealogy layout: 'tree', 'dendrogram' or 'radial'
+let layoutTargets = null; // Node -> { x, y } the genealogy layout moves the nodes to
+let layoutTimer = null; // Animates the nodes into a genealogy layout
 let svg;
 let width;
 let height;
@@ -8,9 +12,138 @@ let zoomHandler;
 let tooltip;
 let ingredientMode = false;
 let selectedNode = null;
-let selectedIngredients = new Set();
+let focusedNodeId = null; // Node that takes keyboard focus in the graph (roving tabindex)
+let outlineMode = false; // Show the outline list instead of the graph
+let statsMode = false; // Show the statistics dashboard instead of the graph
+let statsCentrality = 'betweenness'; // How the dashboard ranks central sauces: 'degree' or 'betweenness'
+let mapMode = false; // Show the world map of sauce origins next to the graph
+let countryPoints = null; // Country code -> [longitude, latitude] from countries.json, once loaded
+let countryShapes = null; // Country code -> outline from vendor/countries-110m.json, once loaded
+let countryMapRequest = null;
+let shownGraph = { nodes: [], links: [] }; // Nodes and links the graph last drew
+let focusDepth = 0; // Hops of lineage focus mode highlights around the selected sauce, 0 = off
+let focusNeighborhood = null; // { nodes, links } sets highlighted by focus mode
+let focusFitKey = ''; // Sauce and depth the view was last zoomed to fit
+let canvas;
+let canvasMode = false; // Draw the graph on the canvas instead of as SVG elements, for large graphs
+let canvasNodes = []; // Nodes and links the canvas shows
+let canvasLinks = [];
+let canvasQuadtree = null; // Finds the canvas node under the pointer, rebuilt after nodes move
+let hoveredNode = null; // Canvas node under the pointer
+let selectedIngredients = new Map(); // Ingredient id -> filter mode ('require', 'any' or 'exclude')
+let ingredientMatchMode = 'direct'; // 'direct' or 'nested' (also look inside sauce components)
+let dietaryFilters = new Set(); // Dietary labels every shown sauce must have
+let similarityEdgeCount = 0; // Similarity edges drawn per sauce, 0 = off
+let restoringState = false; // Set while applying state from the URL, so it is not written back
 let searchTerm = '';
-let imageCache = {}; // Cache for Wikipedia images
+let searchResults = []; // Nodes listed in the search dropdown, best first
+let activeSearchResult = -1; // Index of the dropdown entry picked with the arrow keys
+let wikipediaCache = {}; // Wikipedia URL -> { imageUrl, extract, fetchedAt }
+let wikipediaFetcher = fetchWikipediaSummaryFromApi; // Swappable, e.g. for a local stub in tests
+let detailsAbortController = null; // Cancels the Wikipedia request for the previous selection
+let hiddenRelationshipTypes = new Set(); // Parent relationship types toggled off
+let resolveIngredient = null; // Maps ingredient strings to registry entries, set by processData()
+let pantryMode = false;
+let connectMode = false; // Pick two nodes and show how they are connected
+let connection = null; // { from, to, paths } last found by the connect tool
+let comparedSauces = []; // Sauces in the comparison table, in the order they were picked
+let compareExpanded = false; // Compare sauces on their base ingredients, components opened up
+let pantry = new Set(loadPantry()); // Canonical ingredient ids the user has on hand
+let pantryCoverage = new Map(); // Sauce id -> coverage of its recipe by the pantry
+let editMode = false;
+let baseData = null; // data.json as loaded, before local drafts are applied
+let sauceDrafts = loadDrafts(); // Sauce id -> edited or new sauce entry, in the data.json format
+let extraDatasets = []; // Datasets merged on top of data.json: { source, label, data } or { source, label, error }
+let hiddenSources = new Set(); // Source tags whose sauces are hidden
+
+// Labels derived from the dietary flags a sauce inherits from its ingredients
+const DIETARY_LABELS = {
+    'vegetarian': { label: 'Vegetarian', excludes: ['meat', 'fish'] },
+    'vegan': { label: 'Vegan', excludes: ['meat', 'fish', 'dairy', 'egg'] },
+    'gluten-free': { label: 'Gluten-free', excludes: ['gluten'] },
+    'dairy-free': { label: 'Dairy-free', excludes: ['dairy'] },
+    'egg-free': { label: 'Egg-free', excludes: ['egg'] },
+    'nut-free': { label: 'Nut-free', excludes: ['nuts'] },
+    'soy-free': { label: 'Soy-free', excludes: ['soy'] },
+    'alcohol-free': { label: 'Alcohol-free', excludes: ['alcohol'] }
+};
+
+// Wikipedia summaries are kept in localStorage for a week; requests give up after a few seconds
+const WIKIPEDIA_CACHE_KEY = 'sauce-explorer-wikipedia';
+const WIKIPEDIA_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+const WIKIPEDIA_TIMEOUT = 8000;
+const PLACEHOLDER_IMAGE = 'data:image/svg+xml,' + encodeURIComponent(
+    '<svg xmlns="http://www.w3.org/2000/svg" width="240" height="120">' +
+    '<rect width="100%" height="100%" fill="#f0f0f0"/>' +
+    '<text x="50%" y="50%" fill="#999" font-family="sans-serif" font-size="14" text-anchor="middle" dominant-baseline="middle">Image unavailable</text>' +
+    '</svg>'
+);
+
+// Sauce node colors by (first) country of origin; other countries are gray
+const COUNTRY_COLORS = {
+    'FR': '#3498db', // French - blue
+    'IT': '#27ae60', // Italian - green
+    'ES': '#f1c40f', // Spanish - yellow
+    'MX': '#e74c3c', // Mexican - red
+    'JP': '#9b59b6', // Japanese - purple
+    'CN': '#e67e22', // Chinese - orange
+    'HK': '#e67e22', // Hong Kong - orange
+    'KR': '#c0392b'  // Korean - dark red
+};
+const DEFAULT_SAUCE_COLOR = '#95a5a6';
+
+// How many entries each ranking on the statistics dashboard shows
+const STATS_LIST_LIMIT = 15;
+const STATS_CHAIN_LIMIT = 5;
+
+// Shortest paths the connect tool lists, and how many it compares to pick them
+const CONNECT_PATH_LIMIT = 5;
+const CONNECT_PATH_SEARCH_LIMIT = 200;
+
+// Layouts the graph can be arranged in
+const LAYOUT_MODES = ['force', 'tree', 'dendrogram', 'radial'];
+
+// Spacing of the genealogy layouts: between siblings and between generations
+const LAYOUT_NODE_SPACING = 50;
+const LAYOUT_LEVEL_SPACING = 120;
+
+// Above this many shown nodes the graph is drawn on a canvas, since one SVG
+// element per node gets slow
+const CANVAS_NODE_THRESHOLD = 1000;
+
+// Zoom level from which the canvas labels sauces (with flags) and ingredients
+const CANVAS_LABEL_ZOOM = { sauce: 1, ingredient: 2 };
+
+// Canvas versions of the link styles in the style sheet, by relationship or link type
+const CANVAS_LINK_STYLES = {
+    'derivative': { color: '#999', width: 2, dash: [], opacity: 0.6 },
+    'regional-variant': { color: '#16a085', width: 2, dash: [6, 3], opacity: 0.6 },
+    'inspired-by': { color: '#8e44ad', width: 2, dash: [2, 4], opacity: 0.6 },
+    'ingredient': { color: '#ddd', width: 1, dash: [3, 3], opacity: 0.6 },
+    'similar': { color: '#e67e22', width: 1, dash: [1, 3], opacity: 0.5 }
+};
+
+// Style properties copied inline into exported SVGs, so they look the same outside the page
+const EXPORT_STYLE_PROPERTIES = [
+    'fill', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-opacity', 'stroke-dasharray',
+    'opacity', 'font-family', 'font-size', 'font-weight', 'font-style'
+];
+
+// Prefixes that narrow a search to one field, e.g. "country:IT"
+const SEARCH_FIELDS = ['country', 'ingredient', 'mother', 'family', 'lineage', 'orphan'];
+// A word, a quoted phrase or a field filter in a search
+const SEARCH_TOKEN_PATTERN = /(?:\w+:)?"[^"]*"?|\S+/g;
+const SEARCH_RESULT_LIMIT = 8;
+
+// Source tag of the sauces in data.json
+const MAIN_SOURCE = 'data';
+
+// How an ingredient filter combines with the others
+const FILTER_MODES = {
+    'require': { label: 'Must have' },
+    'any': { label: 'Any of' },
+    'exclude': { label: 'Without' }
+};
 
 // Initialize the visualization
 document.addEventListener('DOMContentLoaded', () => {
@@ -19,26 +152,82 @@ document.addEventListener('DOMContentLoaded', () => {
     width = container.clientWidth;
     height = container.clientHeight || 600;
 
+    // Create the canvas that large graphs are drawn on, under the SVG so the
+    // SVG still receives the pointer events
+    canvas = d3.select('#graph-container')
+        .append('canvas')
+        .attr('class', 'graph-canvas')
+        .attr('aria-hidden', 'true')
+        .property('hidden', true);
+    resizeCanvas();
+
     // Create SVG element
     svg = d3.select('#graph-container')
         .append('svg')
         .attr('width', width)
-        .attr('height', height);
+        .attr('height', height)
+        .attr('role', 'group')
+        .attr('aria-label', 'Sauce network. Tab to a node, use the arrow keys to move to parents, derivatives and siblings, and Enter to open it');
 
     // Add zoom capabilities
     const g = svg.append('g');
     zoomHandler = d3.zoom()
+        // Leave presses on a canvas node to the node drag
+        .filter(event => (!event.ctrlKey || event.type === 'wheel') && !event.button &&
+            !(canvasMode && event.type !== 'wheel' && findCanvasNode(d3.pointer(event.touches ? event.touches[0] : event, svg.node()))))
         .on('zoom', (event) => {
             g.attr('transform', event.transform);
-        });
+            if (canvasMode) drawCanvas();
+        })
+        .on('end', () => updateUrlState());
     svg.call(zoomHandler);
 
+    // Hover, click and drag for the nodes drawn on the canvas
+    svg.call(canvasDrag())
+        .on('mousemove', (event) => {
+            if (!canvasMode) return;
+            const d = findCanvasNode(d3.pointer(event));
+            if (d === hoveredNode) return;
+            hoveredNode = d;
+            svg.style('cursor', d ? 'pointer' : null);
+            if (d) {
+                showTooltip(d, event.pageX, event.pageY);
+            } else {
+                hideTooltip();
+            }
+            drawCanvas();
+        })
+        .on('mouseleave', () => {
+            if (!canvasMode || !hoveredNode) return;
+            hoveredNode = null;
+            svg.style('cursor', null);
+            hideTooltip();
+            drawCanvas();
+        })
+        .on('click', (event) => {
+            if (!canvasMode) return;
+            const d = findCanvasNode(d3.pointer(event));
+            if (d) activateNode(event, d);
+        });
+
     // Create tooltip
     tooltip = d3.select('body')
         .append('div')
         .attr('class', 'tooltip')
         .style('opacity', 0);
 
+    // Restore cached Wikipedia summaries
+    wikipediaCache = loadWikipediaCache();
+
+    // Create relationship type toggles
+    createRelationshipToggles();
+
+    // Create dietary filter
+    createDietaryFilter();
+
+    // Work offline once installed
+    registerServiceWorker();
+
     // Load data
     loadData();
 
@@ -48,100 +237,780 @@ document.addEventListener('DOMContentLoaded', () => {
         ingredientMode = e.target.checked;
         updateVisualization();
     });
-    document.getElementById('search').addEventListener('input', (e) => {
+    const searchInput = document.getElementById('search');
+    searchInput.addEventListener('input', (e) => {
         searchTerm = e.target.value;
         updateVisualization();
+        updateSearchResults();
+    });
+    searchInput.addEventListener('focus', updateSearchResults);
+    searchInput.addEventListener('blur', () => {
+        searchResults = [];
+        renderSearchResults();
+    });
+    searchInput.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            if (searchResults.length === 0) return;
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            activeSearchResult = (activeSearchResult + step + searchResults.length) % searchResults.length;
+            renderSearchResults();
+        } else if (e.key === 'Enter') {
+            const node = searchResults[Math.max(activeSearchResult, 0)];
+            if (node) chooseSearchResult(node);
+        } else if (e.key === 'Escape') {
+            searchResults = [];
+            renderSearchResults();
+        }
+    });
+    // Choose on mousedown, before the input loses focus and closes the list
+    document.getElementById('search-results').addEventListener('mousedown', (e) => {
+        const item = e.target.closest('[data-index]');
+        e.preventDefault();
+        if (item) chooseSearchResult(searchResults[Number(item.dataset.index)]);
+    });
+    document.getElementById('similarity-edges').addEventListener('change', (e) => {
+        similarityEdgeCount = Number(e.target.value);
+        updateVisualization();
+    });
+    document.getElementById('layout-mode').addEventListener('change', (e) => {
+        layoutMode = e.target.value;
+        updateVisualization();
+    });
+    document.getElementById('focus-depth').addEventListener('change', (e) => {
+        focusDepth = e.target.value === 'all' ? Infinity : Number(e.target.value);
+        applyFocus();
+        updateUrlState();
+    });
+    document.getElementById('map-mode').addEventListener('change', (e) => {
+        mapMode = e.target.checked;
+        document.getElementById('map-view').hidden = !mapMode;
+        resizeGraph();
+        // Before the data has loaded (or when it failed to) there is nothing to draw yet
+        if (!simulation) return;
+        updateVisualization();
+        simulation.alpha(0.3).restart();
+    });
+    document.getElementById('outline-mode').addEventListener('change', (e) => {
+        outlineMode = e.target.checked;
+        container.hidden = outlineMode || statsMode;
+        document.getElementById('outline-view').hidden = !outlineMode;
+        updateVisualization();
+    });
+    document.getElementById('stats-mode').addEventListener('change', (e) => {
+        statsMode = e.target.checked;
+        container.hidden = outlineMode || statsMode;
+        document.getElementById('stats-view').hidden = !statsMode;
+        if (statsMode) updateStatsView();
+    });
+    document.getElementById('pantry-mode').addEventListener('change', (e) => {
+        pantryMode = e.target.checked;
+        document.getElementById('pantry-panel').hidden = !pantryMode;
+        updateVisualization();
+    });
+    document.getElementById('connect-mode').addEventListener('change', (e) => {
+        connectMode = e.target.checked;
+        document.getElementById('connect-panel').hidden = !connectMode;
+        if (!connectMode) clearConnection();
+    });
+    document.getElementById('connect-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        runConnect();
+    });
+    document.getElementById('compare-expanded').addEventListener('change', (e) => {
+        compareExpanded = e.target.checked;
+        updateCompareView();
+    });
+    document.getElementById('compare-csv').addEventListener('click', () => {
+        downloadFile('sauce-comparison.csv', new Blob([getComparisonCsv()], { type: 'text/csv' }));
+    });
+    document.getElementById('compare-link').addEventListener('click', copyComparisonLink);
+    document.getElementById('compare-clear').addEventListener('click', () => {
+        comparedSauces = [];
+        updateCompareView();
+    });
+    document.getElementById('edit-mode').addEventListener('change', (e) => {
+        editMode = e.target.checked;
+        document.getElementById('editor-panel').hidden = !editMode;
+        updateDraftList();
+        if (selectedNode) showSauceDetails(selectedNode);
+    });
+    document.getElementById('new-sauce').addEventListener('click', () => openSauceEditor(null));
+    document.getElementById('download-merged').addEventListener('click', () => {
+        downloadFile('data.json', new Blob([JSON.stringify(applyDrafts(baseData), null, 4)], { type: 'application/json' }));
+    });
+    document.getElementById('download-diff').addEventListener('click', () => {
+        downloadFile('sauce-changes.txt', new Blob([getDraftsDiff()], { type: 'text/plain' }));
+    });
+    document.getElementById('add-dataset').addEventListener('click', () => {
+        document.getElementById('dataset-file').click();
+    });
+    document.getElementById('dataset-file').addEventListener('change', (e) => {
+        Array.from(e.target.files).forEach(loadDatasetFromFile);
+        e.target.value = '';
+    });
+
+    // Drop dataset files anywhere on the page to merge them in
+    window.addEventListener('dragover', (e) => {
+        if (!Array.from(e.dataTransfer.types).includes('Files')) return;
+        e.preventDefault();
+        container.classList.add('dropping');
+    });
+    window.addEventListener('dragleave', (e) => {
+        if (!e.relatedTarget) container.classList.remove('dropping');
+    });
+    window.addEventListener('drop', (e) => {
+        container.classList.remove('dropping');
+        if (e.dataTransfer.files.length === 0) return;
+        e.preventDefault();
+        Array.from(e.dataTransfer.files).forEach(loadDatasetFromFile);
+    });
+
+    document.getElementById('export-format').addEventListener('change', (e) => {
+        if (e.target.value) exportView(e.target.value);
+        e.target.value = '';
+    });
+    document.getElementById('pantry-form').addEventListener('submit', (e) => {
+        e.preventDefault();
+        const input = document.getElementById('pantry-input');
+        addToPantry(input.value);
+        input.value = '';
+    });
+
+    // Step through selections and filter changes with the browser's back and forward buttons
+    window.addEventListener('popstate', () => {
+        if (graph) applyExplorerState(parseExplorerState(location.hash));
     });
 
     // Handle window resize
     window.addEventListener('resize', () => {
-        width = container.clientWidth;
-        height = container.clientHeight || 600;
-        svg.attr('width', width).attr('height', height);
+        resizeGraph();
+        if (!simulation) return;
         updateVisualization();
+        simulation.alpha(0.3).restart();
     });
 });
 
+// Match the graph to its container, after the window or the panels beside it change size
+function resizeGraph() {
+    const container = document.getElementById('graph-container');
+    width = container.clientWidth;
+    height = container.clientHeight || 600;
+    svg.attr('width', width).attr('height', height);
+    resizeCanvas();
+}
+
 // Load data from JSON file
 function loadData() {
+    // ?benchmark=N swaps data.json for N generated sauces and times the main operations
+    const benchmarkSize = parseInt(new URLSearchParams(location.search).get('benchmark'), 10);
+    if (benchmarkSize > 0) {
+        runBenchmark(benchmarkSize);
+        return;
+    }
+
+    showLoadStatus('loading');
     fetch('data.json')
-        .then(response => response.json())
+        .then(response => {
+            if (!response.ok) throw new Error(`data.json responded with ${response.status}`);
+            return response.json();
+        })
         .then(data => {
-            graph = data;
-            processData();
+            showLoadStatus(null);
+            baseData = data;
+            buildGraph();
+            updatePantryOptions();
+            updateConnectOptions();
+            updateEditorOptions();
+            updateDraftList();
+            updateSourceLegend();
+
+            // Draw without touching the URL, then open the view a shared link describes
+            const initialState = parseExplorerState(location.hash);
+            restoringState = true;
             createVisualization();
+            restoringState = false;
+            applyExplorerState(initialState);
+
+            // Overlay the datasets named in ?data= parameters
+            new URLSearchParams(location.search).getAll('data')
+                .filter(confirmDatasetUrl)
+                .forEach(loadDatasetFromUrl);
+        })
+        .catch(error => {
+            console.error('Error loading data:', error);
+            showLoadStatus('error', error);
+        });
+}
+
+// Time loading, searching and filtering a generated dataset of the given size,
+// and list the results in the console and the info panel
+function runBenchmark(count) {
+    const results = [];
+    const time = (step, fn) => {
+        const start = performance.now();
+        fn();
+        const ms = performance.now() - start;
+        results.push({ step, ms: Math.round(ms) });
+        return ms;
+    };
+
+    // Keep the benchmark steps out of the URL
+    restoringState = true;
+    time(`Generate ${count} sauces`, () => { baseData = generateDataset(count); });
+    time('Build graph and validate', buildGraph);
+    time('Fill autocomplete lists', () => {
+        updatePantryOptions();
+        updateConnectOptions();
+        updateEditorOptions();
+        updateDraftList();
+        updateSourceLegend();
+    });
+    time('Draw graph', createVisualization);
+
+    const keystrokes = [];
+    'smoked pepper'.split('').forEach((letter, i, letters) => {
+        searchTerm = letters.slice(0, i + 1).join('');
+        keystrokes.push(time(`Search "${searchTerm}"`, () => {
+            updateVisualization();
+            updateSearchResults();
+        }));
+    });
+    results.splice(results.length - keystrokes.length, keystrokes.length,
+        { step: 'Search keystroke (average)', ms: Math.round(d3.mean(keystrokes)) },
+        { step: 'Search keystroke (slowest)', ms: Math.round(d3.max(keystrokes)) });
+    time('Clear search', () => {
+        searchTerm = '';
+        updateVisualization();
+    });
+    time('Show ingredients', () => {
+        ingredientMode = true;
+        updateVisualization();
+    });
+    time('Filter by one ingredient', () => {
+        selectedIngredients.set('ingredient_1', 'require');
+        updateVisualization();
+    });
+    time('Clear ingredient filter', () => {
+        selectedIngredients.clear();
+        ingredientMode = false;
+        updateVisualization();
+    });
+    time('Similarity links (top 3)', () => {
+        similarityEdgeCount = 3;
+        updateVisualization();
+    });
+    time('Simulation tick', () => simulation.tick());
+    similarityEdgeCount = 0;
+    updateVisualization();
+    restoringState = false;
+
+    console.table(results);
+    showBenchmarkResults(count, results);
+}
+
+// List benchmark timings in the info panel
+function showBenchmarkResults(count, results) {
+    let panel = document.getElementById('benchmark-results');
+    if (!panel) {
+        panel = document.createElement('details');
+        panel.id = 'benchmark-results';
+        panel.open = true;
+        document.getElementById('info-panel').appendChild(panel);
+    }
+
+    panel.innerHTML = `
+        <summary>Benchmark: ${count} generated sauces</summary>
+        <table>
+            ${results.map(result => `
+                <tr><td>${result.step}</td><td class="benchmark-ms">${result.ms} ms</td></tr>
+            `).join('')}
+        </table>
+    `;
+}
+
+// Merge data.json (with the local drafts) and the extra datasets into the graph, and check the result
+function buildGraph() {
+    const { data, conflicts } = mergeDatasets(getDatasetSources());
+    const report = validateDataset(data);
+    report.warnings.push(...conflicts);
+    showDataProblems(report);
+
+    // Errors in data.json itself would trip up processing further on, so stop
+    // with them listed, as addDataset() turns away extra datasets with errors.
+    // Drafts and extra datasets were checked when they were added
+    const baseErrors = validateDataset(baseData).errors;
+    if (baseErrors.length > 0) {
+        throw new Error(`data.json has ${baseErrors.length} error${baseErrors.length !== 1 ? 's' : ''}, listed under "Data problems".`);
+    }
+    graph = data;
+    processData();
+}
+
+// Check a ?data= URL before loading it. Anyone can make a link that adds a
+// dataset, so datasets from other sites only load once the user agrees
+function confirmDatasetUrl(url) {
+    let resolved;
+    try {
+        resolved = new URL(url, location.href);
+    } catch (error) {
+        addDatasetError(url, new Error('it is not a valid URL'));
+        return false;
+    }
+    if (!['http:', 'https:'].includes(resolved.protocol)) {
+        addDatasetError(url, new Error('only http and https links can be loaded'));
+        return false;
+    }
+    return resolved.origin === location.origin ||
+        window.confirm(`This link adds sauces from ${resolved.origin}. Load them?`);
+}
+
+// The datasets the graph is merged from, data.json (with the local drafts) first
+function getDatasetSources() {
+    return [
+        { source: MAIN_SOURCE, data: applyDrafts(baseData) },
+        ...extraDatasets.filter(dataset => dataset.data)
+    ];
+}
+
+// Fetch an extra dataset from a URL and merge it in
+function loadDatasetFromUrl(url) {
+    fetch(url)
+        .then(response => {
+            if (!response.ok) throw new Error(`responded with ${response.status}`);
+            return response.json();
         })
-        .catch(error => console.error('Error loading data:', error));
+        .then(data => addDataset(data, url))
+        .catch(error => addDatasetError(url, error));
+}
+
+// Read an extra dataset from a chosen or dropped file and merge it in
+function loadDatasetFromFile(file) {
+    file.text()
+        .then(text => addDataset(JSON.parse(text), file.name))
+        .catch(error => addDatasetError(file.name, error));
+}
+
+// Merge a dataset into the graph under a source tag: its own "source" field,
+// or else its file name. Tags are made unique with a number
+function addDataset(data, label) {
+    if (!data || !Array.isArray(data.nodes)) throw new Error('it has no "nodes" array');
+
+    const name = typeof data.source === 'string' && data.source.trim() ?
+        data.source.trim() :
+        label.split(/[/\\]/).pop().split('?')[0].replace(/\.json$/i, '') || 'dataset';
+    let source = name;
+    for (let i = 2; source === MAIN_SOURCE || extraDatasets.some(dataset => dataset.source === source); i++) {
+        source = `${name}-${i}`;
+    }
+
+    // Turn the dataset away if merging it in brings new errors, which could
+    // break the graph. Errors the other datasets already have do not count
+    const sources = getDatasetSources();
+    const knownErrors = new Set(validateDataset(mergeDatasets(sources).data).errors.map(issue => issue.message));
+    const newErrors = validateDataset(mergeDatasets([...sources, { source, data }]).data).errors
+        .filter(issue => !knownErrors.has(issue.message));
+    if (newErrors.length > 0) {
+        throw new Error(`it has ${newErrors.length} error${newErrors.length !== 1 ? 's' : ''}: ${newErrors.map(issue => issue.message).join(' ')}`);
+    }
+
+    extraDatasets.push({ source, label, data });
+    rebuildGraph();
+}
+
+// Record a dataset that could not be loaded, so the source legend can show it
+function addDatasetError(label, error) {
+    console.error(`Error loading dataset ${label}:`, error);
+    extraDatasets.push({ source: null, label, error: error.message });
+    updateSourceLegend();
+}
+
+// Drop an extra dataset from the graph
+function removeDataset(index) {
+    const [dataset] = extraDatasets.splice(index, 1);
+    if (dataset.source) hiddenSources.delete(dataset.source);
+    rebuildGraph();
+}
+
+// Check whether a sauce comes from at least one source that is shown
+function isSourceShown(sauce) {
+    return sauce.sources.some(source => !hiddenSources.has(source));
+}
+
+// Show a show/hide checkbox and sauce count for each source once extra datasets are loaded
+function updateSourceLegend() {
+    let legend = document.querySelector('.source-toggles');
+    if (extraDatasets.length === 0) {
+        if (legend) legend.remove();
+        return;
+    }
+
+    if (!legend) {
+        legend = document.createElement('div');
+        legend.className = 'source-toggles';
+        document.querySelector('.controls').appendChild(legend);
+    }
+
+    const sources = [{ source: MAIN_SOURCE, label: 'data.json' }, ...extraDatasets];
+    legend.innerHTML = `
+        <span class="source-toggles-title">Sources:</span>
+        ${sources.map((dataset, i) => dataset.error ? `
+            <span class="source-error" title="${escapeHtml(dataset.error)}">${escapeHtml(dataset.label)} (failed to load)
+                <button class="source-remove" data-index="${i - 1}" title="Dismiss">&times;</button>
+            </span>
+        ` : `
+            <label title="${escapeHtml(dataset.label)}">
+                <input type="checkbox" data-source="${escapeHtml(dataset.source)}" ${hiddenSources.has(dataset.source) ? '' : 'checked'}>
+                ${escapeHtml(dataset.source)} (${graph.nodes.filter(sauce => sauce.sources.includes(dataset.source)).length})
+                ${i > 0 ? `<button class="source-remove" data-index="${i - 1}" title="Remove this dataset">&times;</button>` : ''}
+            </label>
+        `).join('')}
+    `;
+
+    legend.querySelectorAll('input[data-source]').forEach(input => {
+        input.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                hiddenSources.delete(e.target.dataset.source);
+            } else {
+                hiddenSources.add(e.target.dataset.source);
+            }
+            graph.index.stats = null;
+            if (statsMode) updateStatsView();
+            updateVisualization();
+        });
+    });
+    legend.querySelectorAll('.source-remove').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.preventDefault();
+            const index = Number(btn.dataset.index);
+            if (extraDatasets[index].error) {
+                extraDatasets.splice(index, 1);
+                updateSourceLegend();
+            } else {
+                removeDataset(index);
+            }
+        });
+    });
+}
+
+// Show a loading message or a load error with a retry button over the graph
+function showLoadStatus(status, error) {
+    let overlay = document.getElementById('load-status');
+    if (!status) {
+        if (overlay) overlay.remove();
+        return;
+    }
+
+    if (!overlay) {
+        overlay = document.createElement('div');
+        overlay.id = 'load-status';
+        document.getElementById('graph-container').appendChild(overlay);
+    }
+
+    overlay.className = status;
+    if (status === 'loading') {
+        overlay.innerHTML = '<p>Loading sauces...</p>';
+        return;
+    }
+
+    overlay.innerHTML = `
+        <p><strong>The sauce data could not be loaded.</strong></p>
+        <p>${navigator.onLine === false ? 'You appear to be offline.' : escapeHtml(error.message)}</p>
+        <button id="retry-load">Retry</button>
+    `;
+    document.getElementById('retry-load').addEventListener('click', loadData);
+}
+
+// Register the service worker and listen for updated data
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !location.protocol.startsWith('http')) return;
+
+    navigator.serviceWorker.register('service-worker.js')
+        .catch(error => console.error('Error registering service worker:', error));
+
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data && event.data.type === 'data-updated') {
+            showUpdatePrompt();
+        }
+    });
+}
+
+// Offer to reload when a newer data.json has been downloaded
+function showUpdatePrompt() {
+    if (document.getElementById('update-prompt')) return;
+
+    const prompt = document.createElement('div');
+    prompt.id = 'update-prompt';
+    prompt.innerHTML = `
+        <span>An updated sauce list is available.</span>
+        <button id="update-reload">Reload</button>
+        <button id="update-dismiss">Later</button>
+    `;
+    document.body.appendChild(prompt);
+
+    document.getElementById('update-reload').addEventListener('click', () => location.reload());
+    document.getElementById('update-dismiss').addEventListener('click', () => prompt.remove());
 }
 
 // Process the loaded data
 function processData() {
-    // Ensure all nodes have a type
+    // Ensure all nodes have a type and a list of origin countries
     graph.nodes.forEach(node => {
         if (!node.type) node.type = 'sauce';
+        node.countries = getCountryCodes(node);
     });
 
-    // Extract all unique ingredients from the sauces
-    const allIngredients = new Set();
+    // Index the graph, so lookups by id, name, ingredient or parent do not scan every node
+    const ingredientNodesById = new Map();
+    graph.index = {
+        saucesById: new Map(graph.nodes.map(node => [node.id, node])),
+        saucesByName: new Map(graph.nodes.map(node => [node.name, node])),
+        ingredientsById: ingredientNodesById,
+        saucesByIngredient: new Map(), // Ingredient id -> sauces listing it directly
+        saucesByBaseIngredient: new Map(), // Ingredient id -> sauces using it, sauce components opened up
+        childrenByParent: new Map(), // Sauce id -> sauces listing it as a parent
+        saucesByKey: new Map([ // Folded name or id -> sauce, for search fields naming a sauce
+            ...graph.nodes.map(node => [foldName(node.name), node]),
+            ...graph.nodes.map(node => [foldName(node.id), node])
+        ]),
+        ancestorIds: new Map(), // Sauce -> ids of its parents, their parents and so on, filled in as needed
+        stats: null, // Figures for the statistics dashboard, worked out when it is first shown
+        searchFields: new Map(), // Node -> folded text fields, filled in as searches need them
+        searchWordScores: new Map() // Search word -> Map(folded text -> score)
+    };
+    const addToIndex = (map, key, sauce) => {
+        if (!map.has(key)) map.set(key, []);
+        map.get(key).push(sauce);
+    };
+
+    // Resolve ingredient strings through the ingredient registry. Strings that
+    // match a sauce name are sauce components, everything else is an ingredient
+    resolveIngredient = createIngredientResolver(graph.ingredients);
+    const ingredientLinks = [];
     graph.nodes.forEach(sauce => {
-        if (sauce.ingredients) {
-            sauce.ingredients.forEach(ingredient => {
-                // Skip sauce ingredients (those that match existing sauce names)
-                const isSauce = graph.nodes.some(node => node.name === ingredient);
-                if (!isSauce) {
-                    allIngredients.add(ingredient);
-                }
-            });
-        }
+        sauce.ingredientIds = [];
+        sauce.componentIds = [];
+        (sauce.ingredients || []).forEach(ingredient => {
+            if (graph.index.saucesByName.has(ingredient)) {
+                const componentId = graph.index.saucesByName.get(ingredient).id;
+                if (!sauce.componentIds.includes(componentId)) sauce.componentIds.push(componentId);
+                return;
+            }
+
+            const resolved = resolveIngredient(ingredient);
+            if (!ingredientNodesById.has(resolved.id)) {
+                ingredientNodesById.set(resolved.id, {
+                    id: resolved.id,
+                    name: resolved.name,
+                    type: 'ingredient',
+                    category: resolved.category,
+                    aliases: resolved.aliases,
+                    contains: resolved.contains,
+                    registered: resolved.registered,
+                    country: null,
+                    countries: []
+                });
+            }
+
+            // Variants of the same ingredient in one recipe share a single link
+            if (!sauce.ingredientIds.includes(resolved.id)) {
+                sauce.ingredientIds.push(resolved.id);
+                addToIndex(graph.index.saucesByIngredient, resolved.id, sauce);
+                ingredientLinks.push({
+                    source: resolved.id,
+                    target: sauce.id,
+                    type: 'ingredient'
+                });
+            }
+        });
     });
 
-    // Create ingredient nodes
-    const ingredientNodes = Array.from(allIngredients).map(ingredientName => ({
-        id: ingredientName.toLowerCase().replace(/\s+/g, '_'),
-        name: ingredientName,
-        type: 'ingredient',
-        country: null
-    }));
+    // Collect every ingredient each sauce uses, including those inside its sauce components
+    graph.nodes.forEach(sauce => {
+        sauce.allIngredientIds = collectIngredientIds(sauce);
+        sauce.allIngredientIds.forEach(id => addToIndex(graph.index.saucesByBaseIngredient, id, sauce));
+    });
 
-    // Add to nodes array
-    graph.allNodes = [...graph.nodes, ...ingredientNodes];
+    // Weight each ingredient by how rare it is (inverse document frequency),
+    // so sharing saffron says more about two sauces than sharing salt
+    graph.ingredientWeights = new Map();
+    graph.nodes.forEach(sauce => {
+        sauce.allIngredientIds.forEach(id => {
+            graph.ingredientWeights.set(id, (graph.ingredientWeights.get(id) || 0) + 1);
+        });
+    });
+    graph.ingredientWeights.forEach((count, id) => {
+        graph.ingredientWeights.set(id, Math.log(1 + graph.nodes.length / count));
+    });
 
-    // Create links between sauces and their ingredients
-    const ingredientLinks = [];
+    // Derive dietary flags and labels from every ingredient a sauce uses
     graph.nodes.forEach(sauce => {
-        if (sauce.ingredients) {
-            sauce.ingredients.forEach(ingredient => {
-                // Skip sauce-to-sauce ingredient links when drawing
-                const isSauce = graph.nodes.some(node => node.name === ingredient);
-                if (!isSauce) {
-                    const ingredientId = ingredient.toLowerCase().replace(/\s+/g, '_');
-                    ingredientLinks.push({
-                        source: ingredientId,
-                        target: sauce.id,
-                        type: 'ingredient'
-                    });
-                }
-            });
-        }
+        const ingredients = sauce.allIngredientIds.map(id => ingredientNodesById.get(id));
+        const flags = new Set(ingredients.flatMap(ingredient => ingredient.contains));
+        sauce.dietary = {
+            flags: Object.keys(DIETARY_FLAGS).filter(flag => flags.has(flag)),
+            labels: Object.keys(DIETARY_LABELS).filter(label =>
+                DIETARY_LABELS[label].excludes.every(flag => !flags.has(flag))
+            ),
+            // Ingredients missing from the registry have no dietary data
+            unknown: ingredients.filter(ingredient => !ingredient.registered).map(ingredient => ingredient.name)
+        };
     });
 
-    // Create parent-child relationships from parent field
+    // Add to nodes array
+    graph.allNodes = [...graph.nodes, ...ingredientNodesById.values()];
+
+    // Create parent-child relationships, one link per parent entry.
+    // Parents that point to no sauce are left out (the validator reports them)
     const parentLinks = [];
     graph.nodes.forEach(sauce => {
-        if (sauce.parent) {
+        sauce.parents = getParentEntries(sauce).filter(parent => graph.index.saucesById.has(parent.id));
+        sauce.parents.forEach(parent => {
+            if (!getChildSauces(parent.id).includes(sauce)) addToIndex(graph.index.childrenByParent, parent.id, sauce);
             parentLinks.push({
-                source: sauce.parent,
+                source: parent.id,
                 target: sauce.id,
                 type: 'parent',
-                relationship: sauce.relationshipToParent
+                relationshipType: parent.type,
+                relationship: parent.description
             });
-        }
+        });
     });
 
     // Add to links array
     graph.allLinks = [...parentLinks, ...ingredientLinks];
 }
 
+// Gather a sauce's ingredient ids and those of its sauce components, recursively.
+// Components already on the path are skipped so a looping dataset cannot recurse forever
+function collectIngredientIds(sauce, path = new Set()) {
+    const ids = new Set(sauce.ingredientIds);
+    path.add(sauce.id);
+    sauce.componentIds.forEach(componentId => {
+        if (path.has(componentId)) return;
+        const component = graph.index.saucesById.get(componentId);
+        if (component) {
+            collectIngredientIds(component, path).forEach(id => ids.add(id));
+        }
+    });
+    path.delete(sauce.id);
+    return Array.from(ids);
+}
+
+// Check that a sauce has every given dietary label. Sauces with ingredients
+// that have no dietary data never qualify, since we cannot vouch for them
+function hasDietaryLabels(sauce, labels) {
+    return sauce.dietary.unknown.length === 0 &&
+        Array.from(labels).every(label => sauce.dietary.labels.includes(label));
+}
+
+// Create the dietary filter checkboxes
+function createDietaryFilter() {
+    const container = document.createElement('details');
+    container.className = 'dietary-filter';
+    container.innerHTML = `
+        <summary>Dietary</summary>
+        <div class="dietary-options">
+            ${Object.entries(DIETARY_LABELS).map(([key, info]) => `
+                <label><input type="checkbox" data-label="${key}"> ${info.label}</label>
+            `).join('')}
+        </div>
+    `;
+
+    container.querySelectorAll('input').forEach(input => {
+        input.addEventListener('change', (e) => {
+            if (e.target.checked) {
+                dietaryFilters.add(e.target.dataset.label);
+            } else {
+                dietaryFilters.delete(e.target.dataset.label);
+            }
+            updateDietaryFilter();
+            updateVisualization();
+        });
+    });
+
+    document.querySelector('.controls').appendChild(container);
+}
+
+// Match the dietary checkboxes and their count to the dietary filters
+function updateDietaryFilter() {
+    document.querySelectorAll('.dietary-filter input').forEach(input => {
+        input.checked = dietaryFilters.has(input.dataset.label);
+    });
+    document.querySelector('.dietary-filter summary').textContent =
+        dietaryFilters.size > 0 ? `Dietary (${dietaryFilters.size})` : 'Dietary';
+}
+
+// Check a sauce against the require / any-of / exclude ingredient filters
+function matchesIngredientFilters(sauce) {
+    const ids = new Set(ingredientMatchMode === 'nested' ? sauce.allIngredientIds : sauce.ingredientIds);
+    const required = getFilteredIngredientIds('require');
+    const anyOf = getFilteredIngredientIds('any');
+    const excluded = getFilteredIngredientIds('exclude');
+
+    return required.every(id => ids.has(id)) &&
+        (anyOf.length === 0 || anyOf.some(id => ids.has(id))) &&
+        !excluded.some(id => ids.has(id));
+}
+
+// List the ids of ingredient filters in the given mode
+function getFilteredIngredientIds(mode) {
+    return Array.from(selectedIngredients.entries())
+        .filter(([, filterMode]) => filterMode === mode)
+        .map(([id]) => id);
+}
+
+// Look up a sauce or ingredient node by id
+function getNodeById(id) {
+    return graph.index.saucesById.get(id) || graph.index.ingredientsById.get(id);
+}
+
+// Get the display name of an ingredient node from its id
+function getIngredientName(ingredientId) {
+    const ingredientNode = graph.index.ingredientsById.get(ingredientId);
+    return ingredientNode ? ingredientNode.name : ingredientId;
+}
+
+// Escape text from the data for use in HTML, between tags or in a quoted attribute
+function escapeHtml(text) {
+    return String(text === undefined || text === null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Find sauces that list the given sauce id as one of their parents
+function getChildSauces(sauceId) {
+    return graph.index.childrenByParent.get(sauceId) || [];
+}
+
+// Create a show/hide checkbox for each parent relationship type
+function createRelationshipToggles() {
+    const container = document.createElement('div');
+    container.className = 'relationship-toggles';
+
+    Object.entries(RELATIONSHIP_TYPES).forEach(([type, info]) => {
+        const label = document.createElement('label');
+        label.innerHTML = `
+            <input type="checkbox" data-type="${type}" checked>
+            <span class="relationship-swatch rel-${type}"></span> ${info.legend}
+        `;
+        label.querySelector('input').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                hiddenRelationshipTypes.delete(type);
+            } else {
+                hiddenRelationshipTypes.add(type);
+            }
+            updateVisualization();
+        });
+        container.appendChild(label);
+    });
+
+    document.querySelector('.controls').appendChild(container);
+}
+
 // Create the visualization
 function createVisualization() {
     const g = svg.select('g');
@@ -149,11 +1018,11 @@ function createVisualization() {
     // Clear previous elements
     g.selectAll('*').remove();
 
-    // Create arrow markers for parent links
+    // Create arrow markers for parent links, one per relationship type
     svg.append('defs').selectAll('marker')
-        .data(['parent'])
+        .data(Object.keys(RELATIONSHIP_TYPES))
         .enter().append('marker')
-        .attr('id', d => d)
+        .attr('id', d => `parent-${d}`)
         .attr('viewBox', '0 -5 10 10')
         .attr('refX', 20)
         .attr('refY', 0)
@@ -162,7 +1031,7 @@ function createVisualization() {
         .attr('orient', 'auto')
         .append('path')
         .attr('d', 'M0,-5L10,0L0,5')
-        .attr('fill', '#999');
+        .attr('fill', d => RELATIONSHIP_TYPES[d].color);
 
     updateVisualization();
 
@@ -173,7 +1042,8 @@ function createVisualization() {
 // Filter nodes and links based on current settings
 function getFilteredGraph() {
     let nodes, links;
-    const hasSearch = searchTerm && searchTerm.trim() !== '';
+    const searchQuery = parseSearchQuery(searchTerm);
+    const hasSearch = !searchQuery.isEmpty;
     const hasIngredientFilter = selectedIngredients.size > 0;
 
     // Start with all nodes
@@ -185,41 +1055,70 @@ function getFilteredGraph() {
         links = graph.allLinks.filter(link => link.type === 'parent');
     }
 
+    // Leave out sauces whose sources are all hidden, and ingredients only they use
+    if (hiddenSources.size > 0) {
+        const shownSauces = graph.nodes.filter(isSourceShown);
+        const shownIds = new Set([
+            ...shownSauces.map(sauce => sauce.id),
+            ...shownSauces.flatMap(sauce => sauce.ingredientIds)
+        ]);
+
+        nodes = nodes.filter(node => shownIds.has(node.id));
+        links = links.filter(link =>
+            shownIds.has(link.source.id || link.source) &&
+            shownIds.has(link.target.id || link.target)
+        );
+    }
+
+    // Keep only sauces with every selected dietary label, and the ingredients they use
+    if (dietaryFilters.size > 0) {
+        const allowedSauceIds = new Set(graph.nodes
+            .filter(sauce => hasDietaryLabels(sauce, dietaryFilters))
+            .map(sauce => sauce.id));
+        const usedIngredientIds = new Set(graph.nodes
+            .filter(sauce => allowedSauceIds.has(sauce.id))
+            .flatMap(sauce => sauce.ingredientIds));
+
+        nodes = nodes.filter(node =>
+            node.type === 'sauce' ? allowedSauceIds.has(node.id) : usedIngredientIds.has(node.id)
+        );
+        links = links.filter(link =>
+            allowedSauceIds.has(link.target.id || link.target) &&
+            (link.type !== 'parent' || allowedSauceIds.has(link.source.id || link.source))
+        );
+    }
+
+    // Drop parent links whose relationship type is toggled off
+    if (hiddenRelationshipTypes.size > 0) {
+        links = links.filter(link =>
+            link.type !== 'parent' || !hiddenRelationshipTypes.has(link.relationshipType)
+        );
+    }
+
     // Apply search filtering if needed
     if (hasSearch) {
-        const lowerSearch = searchTerm.toLowerCase();
-
         // Get nodes that match search
-        const matchingNodeIds = nodes
-            .filter(node => node.name.toLowerCase().includes(lowerSearch))
-            .map(node => node.id);
+        const matchingNodeIds = new Set(nodes
+            .filter(node => scoreSearchMatch(node, searchQuery) > 0)
+            .map(node => node.id));
 
         // For ingredient mode, also include connected sauces/ingredients
         if (ingredientMode) {
             // Find connections (sauces that use matching ingredients or ingredients used by matching sauces)
             const connectedIds = new Set(matchingNodeIds);
 
-            // Add ingredients of matching sauces
+            // Add ingredients and sauce components of matching sauces
             nodes.forEach(node => {
-                if (matchingNodeIds.includes(node.id) && node.type === 'sauce' && node.ingredients) {
-                    node.ingredients.forEach(ing => {
-                        // Check if the ingredient is another sauce
-                        const isSauce = graph.nodes.some(n => n.name === ing);
-                        if (!isSauce) {
-                            const ingId = ing.toLowerCase().replace(/\s+/g, '_');
-                            connectedIds.add(ingId);
-                        } else {
-                            const sauceNode = graph.nodes.find(n => n.name === ing);
-                            if (sauceNode) connectedIds.add(sauceNode.id);
-                        }
-                    });
+                if (matchingNodeIds.has(node.id) && node.type === 'sauce') {
+                    node.ingredientIds.forEach(id => connectedIds.add(id));
+                    node.componentIds.forEach(id => connectedIds.add(id));
                 }
             });
 
             // Add sauces that use matching ingredients
             links.forEach(link => {
                 if (link.type === 'ingredient') {
-                    if (matchingNodeIds.includes(link.source.id || link.source)) {
+                    if (matchingNodeIds.has(link.source.id || link.source)) {
                         connectedIds.add(link.target.id || link.target);
                     }
                 }
@@ -239,12 +1138,12 @@ function getFilteredGraph() {
 
             // Add parent and children
             nodes.forEach(node => {
-                if (matchingNodeIds.includes(node.id)) {
-                    // Add parent if exists
-                    if (node.parent) directRelationships.add(node.parent);
+                if (matchingNodeIds.has(node.id)) {
+                    // Add every parent
+                    node.parents.forEach(parent => directRelationships.add(parent.id));
 
-                    // Add children (sauces that have this node as parent)
-                    const children = graph.nodes.filter(n => n.parent === node.id);
+                    // Add children (sauces that have this node as a parent)
+                    const children = getChildSauces(node.id);
                     children.forEach(child => directRelationships.add(child.id));
                 }
             });
@@ -261,25 +1160,15 @@ function getFilteredGraph() {
     }
     // Apply ingredient filtering if needed
     else if (hasIngredientFilter) {
-        // Find sauces that use all selected ingredients
+        // Find sauces that satisfy the combined ingredient filters
         const filteredSauceIds = graph.nodes
-            .filter(sauce =>
-                sauce.ingredients &&
-                Array.from(selectedIngredients).every(ingName => {
-                    const normalizedIngName = ingName.toLowerCase();
-                    return sauce.ingredients.some(i => i.toLowerCase() === normalizedIngName);
-                })
-            )
+            .filter(matchesIngredientFilters)
             .map(sauce => sauce.id);
 
-        // Get ingredient IDs from names
-        const selectedIngredientIds = Array.from(selectedIngredients).map(
-            name => name.toLowerCase().replace(/\s+/g, '_')
-        );
-
-        // Include the selected ingredients and sauces that use them
+        // Include the required / any-of ingredients and the matching sauces
         const nodesToInclude = new Set([
-            ...selectedIngredientIds,
+            ...getFilteredIngredientIds('require'),
+            ...getFilteredIngredientIds('any'),
             ...filteredSauceIds
         ]);
 
@@ -293,148 +1182,584 @@ function getFilteredGraph() {
         );
     }
 
+    // Add top-k similarity edges between the visible sauces
+    if (similarityEdgeCount > 0) {
+        links = [...links, ...getSimilarityLinks(nodes.filter(node => node.type === 'sauce'), similarityEdgeCount)];
+    }
+
     return { nodes, links };
 }
 
-// Update the visualization based on current mode
-function updateVisualization() {
-    const g = svg.select('g');
+// Split a search into folded free-text words and field filters such as
+// "country:IT", "ingredient:anchovies" or "mother:true". Quotes keep
+// several words together: ingredient:"black pepper"
+function parseSearchQuery(term) {
+    const words = [];
+    const fields = [];
+    ((term || '').match(SEARCH_TOKEN_PATTERN) || []).forEach(token => {
+        const match = token.match(/^(\w+):(.*)$/);
+        const field = match && match[1].toLowerCase();
+        if (match && SEARCH_FIELDS.includes(field)) {
+            const value = foldName(match[2].replace(/"/g, ''));
+            if (value) fields.push({ field, value });
+        } else {
+            const word = foldName(token.replace(/"/g, ''));
+            if (word) words.push(word);
+        }
+    });
+    return { words, fields, isEmpty: words.length === 0 && fields.length === 0 };
+}
+
+// Score how well a folded search word matches a folded text: the whole text,
+// its start or the start of one of its words, anywhere in it, or (for words
+// of four letters or more) within a typo or two of one of its words.
+// Scores are remembered, since the same names come up for many nodes
+function scoreSearchWord(word, text) {
+    if (!text) return 0;
+    const scores = graph.index.searchWordScores;
+    if (!scores.has(word)) {
+        if (scores.size > 50) scores.clear();
+        scores.set(word, new Map());
+    }
+    const known = scores.get(word);
+    if (!known.has(text)) known.set(text, computeSearchWordScore(word, text));
+    return known.get(text);
+}
+
+// Work out the score for scoreSearchWord()
+function computeSearchWordScore(word, text) {
+    if (text === word) return 100;
+    if (text.startsWith(word)) return 90;
+
+    const textWords = text.split(/[^a-z0-9]+/).filter(Boolean);
+    if (textWords.some(textWord => textWord.startsWith(word))) return 80;
+    if (text.includes(word)) return 60;
+    if (word.length < 4) return 0;
+
+    // Words whose lengths differ by more than the allowed typos cannot match
+    const allowed = word.length < 7 ? 1 : 2;
+    const distance = Math.min(Infinity, ...textWords.map(textWord => Math.min(
+        Math.abs(textWord.length - word.length) <= allowed ? editDistance(word, textWord) : Infinity,
+        textWord.length > word.length ? editDistance(word, textWord.slice(0, word.length)) : Infinity
+    )));
+    return distance <= allowed ? 50 - distance * 10 : 0;
+}
+
+// Check a node against one field filter of a search
+function matchesSearchField(node, { field, value }) {
+    if (node.type !== 'sauce') return false;
+
+    if (field === 'country') {
+        return node.countries.some((code, i) =>
+            code.toLowerCase() === value || scoreSearchWord(value, getSearchFields(node).countryNames[i]) >= 80
+        );
+    }
+    if (field === 'ingredient') {
+        return node.ingredientIds.includes(resolveIngredient(value).id) ||
+            getSearchFields(node).ingredients.some(ingredient => scoreSearchWord(value, ingredient) > 0);
+    }
+    if (field === 'mother') {
+        return Boolean(node.isMotherSauce) === ['true', 'yes', '1'].includes(value);
+    }
+    if (field === 'family' || field === 'lineage') {
+        // family: the named sauce and what descends from it; lineage: it and its ancestors
+        const sauce = graph.index.saucesByKey.get(value);
+        if (!sauce) return false;
+        if (node === sauce) return true;
+        return field === 'family' ? getAncestorIds(node).has(sauce.id) : getAncestorIds(sauce).has(node.id);
+    }
+    if (field === 'orphan') {
+        return isOrphanSauce(node) === ['true', 'yes', '1'].includes(value);
+    }
+    return true;
+}
+
+// Collect the ids of a sauce's parents, their parents and so on, once per sauce
+function getAncestorIds(sauce) {
+    if (!graph.index.ancestorIds.has(sauce)) {
+        const ids = new Set();
+        const queue = [sauce];
+        for (let i = 0; i < queue.length; i++) {
+            queue[i].parents.forEach(({ id }) => {
+                const parent = graph.index.saucesById.get(id);
+                if (!parent || parent === sauce || ids.has(id)) return;
+                ids.add(id);
+                queue.push(parent);
+            });
+        }
+        graph.index.ancestorIds.set(sauce, ids);
+    }
+    return graph.index.ancestorIds.get(sauce);
+}
+
+// Check whether a sauce has neither parents nor derivatives in the graph
+function isOrphanSauce(sauce) {
+    return !sauce.parents.some(parent => graph.index.saucesById.has(parent.id)) && getChildSauces(sauce.id).length === 0;
+}
+
+// Fold a node's searchable text once and keep it in the graph index
+function getSearchFields(node) {
+    if (!graph.index.searchFields.has(node)) {
+        graph.index.searchFields.set(node, {
+            name: foldName(node.name),
+            aliases: (node.aliases || []).map(foldName),
+            countryNames: node.countries.map(code => foldName(getCountryName(code))),
+            ingredients: (node.ingredients || []).map(foldName),
+            description: foldName(node.description || '')
+        });
+    }
+    return graph.index.searchFields.get(node);
+}
+
+// Score a node against a parsed search, 0 meaning no match. Every field filter
+// must hold and every word must match something; the name counts most, then
+// aliases, countries, ingredients and the description
+function scoreSearchMatch(node, query) {
+    if (!query.fields.every(field => matchesSearchField(node, field))) return 0;
+    if (query.words.length === 0) return 1;
+
+    const { name, aliases, countryNames, ingredients, description } = getSearchFields(node);
+
+    let total = 0;
+    for (const word of query.words) {
+        const best = Math.max(
+            scoreSearchWord(word, name),
+            ...aliases.map(alias => scoreSearchWord(word, alias) * 0.8),
+            node.countries.some(code => code.toLowerCase() === word) ? 40 : 0,
+            ...countryNames.map(country => scoreSearchWord(word, country) * 0.4),
+            ...ingredients.map(ingredient => scoreSearchWord(word, ingredient) * 0.3),
+            description.includes(word) ? 15 : 0
+        );
+        if (best === 0) return 0;
+        total += best;
+    }
+    return total / query.words.length;
+}
+
+// List the best matches among the shown nodes under the search box. They are
+// taken from the graph updateVisualization() last drew, so call that first
+function updateSearchResults() {
+    const query = parseSearchQuery(searchTerm);
+    searchResults = !graph || query.isEmpty ? [] : shownGraph.nodes
+        .map(node => ({ node, score: scoreSearchMatch(node, query) }))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score || a.node.name.localeCompare(b.node.name))
+        .slice(0, SEARCH_RESULT_LIMIT)
+        .map(result => result.node);
+    activeSearchResult = -1;
+    renderSearchResults();
+}
+
+// Draw the search dropdown, marking the entry picked with the arrow keys
+function renderSearchResults() {
+    const input = document.getElementById('search');
+    const list = document.getElementById('search-results');
+
+    list.hidden = searchResults.length === 0;
+    input.setAttribute('aria-expanded', String(searchResults.length > 0));
+    list.innerHTML = searchResults.map((node, i) => `
+        <li id="search-result-${i}" role="option" data-index="${i}"
+            class="search-result ${i === activeSearchResult ? 'active' : ''}" aria-selected="${i === activeSearchResult}">
+            <span>${escapeHtml(node.name)}</span>
+            <span class="search-result-info">${node.type === 'sauce' ?
+                getCountryFlags(node.countries) :
+                INGREDIENT_CATEGORIES[node.category].label}</span>
+        </li>
+    `).join('');
+
+    if (activeSearchResult >= 0) {
+        input.setAttribute('aria-activedescendant', `search-result-${activeSearchResult}`);
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// Select a search result and center the view on it
+function chooseSearchResult(node) {
+    searchResults = [];
+    renderSearchResults();
+    selectedNode = node;
+    showSauceDetails(node);
+    // Focus mode zooms to the sauce's neighborhood instead
+    if (focusDepth === 0) centerOnNode(node);
+}
+
+// Arrange the shown nodes as a genealogy: mother sauces (and sauces with no
+// shown parent) are the roots, every other sauce hangs under its first shown
+// parent and each ingredient under the first shown sauce using it. Returns
+// where each node goes, as a map from node to { x, y }
+function getGenealogyLayout(nodes, links, mode) {
+    const saucesById = new Map(nodes.filter(n => n.type === 'sauce').map(n => [n.id, n]));
+    const ingredientsById = new Map(nodes.filter(n => n.type === 'ingredient').map(n => [n.id, n]));
+
+    const parentOf = new Map();
+    links.forEach(link => {
+        const sourceId = link.source.id || link.source;
+        const targetId = link.target.id || link.target;
+        const [child, parent] = link.type === 'parent' ? [saucesById.get(targetId), saucesById.get(sourceId)] :
+            link.type === 'ingredient' ? [ingredientsById.get(sourceId), saucesById.get(targetId)] : [];
+        if (child && parent && !child.isMotherSauce && !parentOf.has(child)) parentOf.set(child, parent);
+    });
+
+    // Hang the nodes under their parents, starting from the roots. Nodes
+    // only reachable through a loop of parents become roots themselves
+    const childrenOf = new Map(nodes.map(n => [n, []]));
+    parentOf.forEach((parent, child) => childrenOf.get(parent).push(child));
+    const roots = nodes.filter(n => !parentOf.has(n));
+    const reached = new Set();
+    const reach = node => {
+        reached.add(node);
+        childrenOf.get(node).forEach(reach);
+    };
+    roots.forEach(reach);
+    nodes.forEach(node => {
+        if (reached.has(node)) return;
+        childrenOf.get(parentOf.get(node)).splice(childrenOf.get(parentOf.get(node)).indexOf(node), 1);
+        roots.push(node);
+        reach(node);
+    });
+
+    // Mother sauces first, then sauces before ingredients, each by name
+    const root = d3.hierarchy({ roots }, d => d.roots || childrenOf.get(d))
+        .sort((a, b) => (b.data.isMotherSauce === true) - (a.data.isMotherSauce === true) ||
+            (a.data.type === 'sauce' ? 0 : 1) - (b.data.type === 'sauce' ? 0 : 1) ||
+            a.data.name.localeCompare(b.data.name));
+
+    const targets = new Map();
+    if (mode === 'radial') {
+        // The invisible root is the center, the mother sauces the first ring
+        const radius = Math.max(root.height * LAYOUT_LEVEL_SPACING, root.leaves().length * LAYOUT_NODE_SPACING / (2 * Math.PI));
+        d3.tree()
+            .size([2 * Math.PI, radius])
+            .separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root);
+        root.descendants().slice(1).forEach(d => targets.set(d.data, {
+            x: width / 2 + d.y * Math.sin(d.x),
+            y: height / 2 - d.y * Math.cos(d.x)
+        }));
+    } else {
+        // Top down, with the mother sauces in the first row
+        (mode === 'dendrogram' ? d3.cluster() : d3.tree())
+            .nodeSize([LAYOUT_NODE_SPACING, LAYOUT_LEVEL_SPACING])(root);
+        root.descendants().slice(1).forEach(d => targets.set(d.data, {
+            x: width / 2 + d.x,
+            y: d.y - LAYOUT_LEVEL_SPACING + 40
+        }));
+    }
+    return targets;
+}
+
+// Move the nodes to their genealogy layout positions over 750 ms, then pin
+// them there. Nodes that have no position yet start at theirs
+function animateToLayout(nodes, draw) {
+    simulation.stop();
+    if (layoutTimer) layoutTimer.stop();
+
+    const moves = nodes.map(node => {
+        const target = layoutTargets.get(node);
+        const from = node.x === undefined ? target : { x: node.x, y: node.y };
+        return { node, x: d3.interpolateNumber(from.x, target.x), y: d3.interpolateNumber(from.y, target.y) };
+    });
+    layoutTimer = d3.timer(elapsed => {
+        const t = d3.easeCubicInOut(Math.min(1, elapsed / 750));
+        moves.forEach(move => {
+            move.node.x = move.node.fx = move.x(t);
+            move.node.y = move.node.fy = move.y(t);
+        });
+        draw();
+        if (t === 1) layoutTimer.stop();
+    });
+}
+
+// Unpin every node, so the force layout can move them again
+function releaseLayout() {
+    if (layoutTimer) layoutTimer.stop();
+    layoutTargets = null;
+    graph.allNodes.forEach(node => {
+        node.fx = null;
+        node.fy = null;
+    });
+}
+
+// Focus mode: highlight the selected sauce's ancestors and descendants up to
+// the focus depth (and its ingredients, when shown), fade everything else and
+// zoom to fit the highlighted part when the selection or depth changes. The
+// paths found by the connect tool are highlighted the same way, in its place
+function applyFocus() {
+    const sauce = selectedNode && selectedNode.type === 'sauce' && shownGraph.nodes.includes(selectedNode) ? selectedNode : null;
+    const hasPaths = !!connection && connection.paths.length > 0;
+    focusNeighborhood = hasPaths ? getConnectionHighlight(connection) :
+        focusDepth > 0 && sauce ? getFocusNeighborhood(sauce, focusDepth, shownGraph.links) : null;
+
+    const { nodes, links } = focusNeighborhood || {};
+    svg.selectAll('.node')
+        .classed('highlighted', d => !!nodes && nodes.has(d) && d !== sauce)
+        .classed('faded', d => !!nodes && !nodes.has(d));
+    svg.selectAll('.link')
+        .classed('highlighted', d => !!links && links.has(d))
+        .classed('faded', d => !!links && !links.has(d));
+    if (canvasMode) drawCanvas();
+
+    const fitKey = hasPaths ? `${connection.from.id}>${connection.to.id}:${connection.paths.length}` :
+        focusNeighborhood ? `${sauce.id}:${focusDepth}` : '';
+    if (fitKey !== focusFitKey) {
+        focusFitKey = fitKey;
+        if (focusNeighborhood && !restoringState) zoomToFit(Array.from(nodes));
+    }
+}
+
+// Collect the sauces up to a number of parent links above and below a sauce
+// among the shown links, the links walked to reach them, and its own ingredients
+function getFocusNeighborhood(sauce, depth, links) {
+    const nodes = new Set([sauce]);
+    const walked = new Set();
+    const parentLinks = links.filter(link => link.type === 'parent');
+
+    // Up to the ancestors, then down to the descendants, one hop at a time
+    [['target', 'source'], ['source', 'target']].forEach(([from, to]) => {
+        const linksByNode = d3.group(parentLinks, link => link[from]);
+        let frontier = [sauce];
+        for (let hop = 0; hop < depth && frontier.length > 0; hop++) {
+            frontier = frontier.flatMap(node => (linksByNode.get(node) || []).map(link => {
+                walked.add(link);
+                return link[to];
+            })).filter(node => !nodes.has(node));
+            frontier.forEach(node => nodes.add(node));
+        }
+    });
+
+    links.filter(link => link.type === 'ingredient' && link.target === sauce).forEach(link => {
+        walked.add(link);
+        nodes.add(link.source);
+    });
+
+    return { nodes, links: walked };
+}
+
+// Zoom and pan so a set of nodes fills the view, zooming in at most 2x
+function zoomToFit(nodes) {
+    const placed = nodes.filter(node => node.x !== undefined);
+    if (placed.length === 0) return;
+
+    const padding = 60;
+    const [x0, x1] = d3.extent(placed, node => node.x);
+    const [y0, y1] = d3.extent(placed, node => node.y);
+    const scale = Math.max(0.1, Math.min(2,
+        (width - 2 * padding) / Math.max(x1 - x0, 1),
+        (height - 2 * padding) / Math.max(y1 - y0, 1)));
+    svg.transition()
+        .duration(750)
+        .call(zoomHandler.transform, d3.zoomIdentity
+            .translate(width / 2 - scale * (x0 + x1) / 2, height / 2 - scale * (y0 + y1) / 2)
+            .scale(scale));
+}
+
+// Pan the view so a node is in the middle, zooming in if the view is zoomed far out
+function centerOnNode(node) {
+    if (node.x === undefined) return;
+    const scale = Math.max(d3.zoomTransform(svg.node()).k, 1);
+    svg.transition()
+        .duration(750)
+        .call(zoomHandler.transform, d3.zoomIdentity
+            .translate(width / 2 - node.x * scale, height / 2 - node.y * scale)
+            .scale(scale));
+}
+
+// Compare two sauces by weighted Jaccard similarity over all their base
+// ingredients (sauce components opened up). Returns the score in [0, 1]
+// with the shared ingredients and those only one of them uses
+function compareSauces(a, b) {
+    const idsA = new Set(a.allIngredientIds);
+    const idsB = new Set(b.allIngredientIds);
+    const shared = a.allIngredientIds.filter(id => idsB.has(id));
+    const onlyA = a.allIngredientIds.filter(id => !idsB.has(id));
+    const onlyB = b.allIngredientIds.filter(id => !idsA.has(id));
+
+    const weight = ids => ids.reduce((sum, id) => sum + graph.ingredientWeights.get(id), 0);
+    const union = weight(shared) + weight(onlyA) + weight(onlyB);
+
+    return { score: union > 0 ? weight(shared) / union : 0, shared, onlyA, onlyB };
+}
+
+// Find the sauces most similar to the given one (among `candidates`, an array
+// or a Set), best first. Only sauces sharing at least one base ingredient can
+// score, so only those are compared
+function getSimilarSauces(sauce, count, candidates = graph.nodes) {
+    const allowed = candidates instanceof Set ? candidates : new Set(candidates);
+    const sharing = new Set(sauce.allIngredientIds.flatMap(id => graph.index.saucesByBaseIngredient.get(id) || []));
+    return Array.from(sharing)
+        .filter(other => other.id !== sauce.id && allowed.has(other))
+        .map(other => ({ sauce: other, ...compareSauces(sauce, other) }))
+        .filter(match => match.score > 0)
+        .sort((a, b) => b.score - a.score || a.sauce.name.localeCompare(b.sauce.name))
+        .slice(0, count);
+}
 
+// Link each sauce to its most similar sauces, once per pair. Pairs already
+// joined by a parent link are skipped, since the lineage already shows them
+function getSimilarityLinks(sauces, count) {
+    const links = new Map();
+    const candidates = new Set(sauces);
+    sauces.forEach(sauce => {
+        getSimilarSauces(sauce, count, candidates).forEach(match => {
+            const isLineage = sauce.parents.some(p => p.id === match.sauce.id) ||
+                match.sauce.parents.some(p => p.id === sauce.id);
+            const key = [sauce.id, match.sauce.id].sort().join('|');
+            if (!isLineage && !links.has(key)) {
+                links.set(key, { source: sauce.id, target: match.sauce.id, type: 'similar', score: match.score });
+            }
+        });
+    });
+    return Array.from(links.values());
+}
+
+// Update the visualization based on current mode
+function updateVisualization() {
     // Get filtered data
     const { nodes, links } = getFilteredGraph();
+    const hadNodeFocus = document.activeElement && document.activeElement.classList.contains('node');
+
+    // Reuse one force simulation, so nodes keep their positions when the filters change
+    if (!simulation) {
+        simulation = d3.forceSimulation()
+            .force('link', d3.forceLink().id(d => d.id).distance(80))
+            .force('charge', d3.forceManyBody().strength(-150));
+    }
+    simulation
+        .force('center', d3.forceCenter(width / 2, height / 2))
+        .force('x', d3.forceX(width / 2).strength(0.05))
+        .force('y', d3.forceY(height / 2).strength(0.05));
 
     // Check if anything filtered
-    const isFiltered = searchTerm || selectedIngredients.size > 0;
+    const isFiltered = searchTerm || selectedIngredients.size > 0 || dietaryFilters.size > 0;
 
-    // Add a "Clear filters" button if filtering is active
-    const filterInfo = document.getElementById('filter-info');
+    // Show the active filters and a "Clear filters" button if filtering is active
+    let filterInfo = document.getElementById('filter-info');
     if (isFiltered) {
         if (!filterInfo) {
-            const filterDiv = document.createElement('div');
-            filterDiv.id = 'filter-info';
-            filterDiv.innerHTML = `
-                <div class="active-filters">
-                    ${searchTerm ? `<span class="filter-tag">Search: "${searchTerm}"</span>` : ''}
-                    ${Array.from(selectedIngredients).map(ing =>
-                `<span class="filter-tag">Ingredient: ${ing}</span>`
-            ).join('')}
-                </div>
-                <button id="clear-filters">Clear All Filters</button>
-            `;
-            document.querySelector('.controls').appendChild(filterDiv);
+            filterInfo = document.createElement('div');
+            filterInfo.id = 'filter-info';
+            document.querySelector('.controls').appendChild(filterInfo);
+        }
+        renderFilterInfo(filterInfo);
+    } else if (filterInfo) {
+        filterInfo.remove();
+    }
 
-            document.getElementById('clear-filters').addEventListener('click', () => {
-                resetFilters();
-            });
+    // Show which colors stand for which ingredient categories
+    updateCategoryLegend(nodes);
+
+    // Rank sauces against the pantry
+    if (pantryMode) {
+        pantryCoverage = computePantryCoverage();
+        updatePantryPanel();
+    }
+
+    // Draw with SVG elements, or on the canvas once there are too many nodes for them
+    setCanvasMode(nodes.length > CANVAS_NODE_THRESHOLD, nodes.length);
+    const draw = canvasMode ? renderCanvasGraph(nodes, links) : renderSvgGraph(nodes, links);
+    shownGraph = { nodes, links };
+
+    // Give the simulation the shown nodes and links. The layout is only redone
+    // when they change, so selecting or typing a search that matches the same
+    // nodes leaves it alone
+    const isFirstLayout = !nodes.some(n => n.x !== undefined);
+    placeNewNodes(nodes, links);
+    simulation.nodes(nodes);
+    simulation.force('link').links(links);
+    simulation.on('tick', draw);
+
+    const newLayoutKey = `${layoutMode}#${nodes.map(n => n.id).join('|')}#${links.map(getLinkKey).join('|')}`;
+    if (newLayoutKey !== layoutKey) {
+        const switchedLayout = layoutKey.split('#')[0] !== layoutMode;
+        layoutKey = newLayoutKey;
+        if (layoutMode === 'force') {
+            // Let go of the positions a genealogy layout pinned
+            if (switchedLayout) releaseLayout();
+            simulation.alpha(isFirstLayout ? 1 : 0.3).restart();
         } else {
-            filterInfo.innerHTML = `
-                <div class="active-filters">
-                    ${searchTerm ? `<span class="filter-tag">Search: "${searchTerm}"</span>` : ''}
-                    ${Array.from(selectedIngredients).map(ing =>
-                `<span class="filter-tag">Ingredient: ${ing}</span>`
-            ).join('')}
-                </div>
-                <button id="clear-filters">Clear All Filters</button>
-            `;
+            layoutTargets = getGenealogyLayout(nodes, links, layoutMode);
+            animateToLayout(nodes, draw);
+            if (switchedLayout && !isFirstLayout) zoomToFit(Array.from(layoutTargets.values()));
+        }
+    } else {
+        // Draw the new elements where their nodes already are
+        draw();
+    }
 
-            document.getElementById('clear-filters').addEventListener('click', () => {
-                resetFilters();
-            });
+    // Put keyboard focus back on the node that had it, in case its element was replaced
+    if (hadNodeFocus) focusNode(focusedNodeId);
+
+    // Keep the outline in step with the graph
+    if (outlineMode) updateOutlineView(nodes, links);
+    if (mapMode) updateMapView(nodes, links);
+
+    // Update sauce details if a node is selected
+    if (selectedNode) {
+        // Check if selected node is still visible
+        if (nodes.some(n => n.id === selectedNode.id)) {
+            showSauceDetails(selectedNode);
+        } else {
+            // Clear selection if node is now hidden
+            selectedNode = null;
+            document.getElementById('sauce-details').innerHTML = '<p>Select a sauce to see details</p>';
+            applyFocus();
         }
-    } else if (filterInfo) {
-        filterInfo.remove();
     }
 
+    // Keep the URL in step with the filters
+    updateUrlState();
+}
+
+// Renderers draw the shown nodes and links, and return a function that moves
+// them to their current positions, which the simulation calls on every tick.
+// This one makes an SVG group per node, with its circle, label and flags
+function renderSvgGraph(nodes, links) {
+    const g = svg.select('g');
+
     // Create links
     const link = g.selectAll('.link')
-        .data(links)
+        .data(links, getLinkKey)
         .join('line')
-        .attr('class', d => `link ${d.type}`)
-        .attr('stroke-width', 1.5)
-        .attr('marker-end', d => d.type === 'parent' ? 'url(#parent)' : null);
+        .attr('class', d => d.type === 'parent' ? `link parent rel-${d.relationshipType}` : `link ${d.type}`)
+        .attr('stroke-width', d => d.type === 'similar' ? 1 + d.score * 3 : 1.5)
+        .attr('marker-end', d => d.type === 'parent' ? `url(#parent-${d.relationshipType})` : null);
 
     // Create node groups
     const node = g.selectAll('.node')
-        .data(nodes)
+        .data(nodes, d => `${d.type}:${d.id}`)
         .join('g')
         .attr('class', d => `node ${d.type}`)
+        .attr('role', 'button')
+        .attr('aria-label', getNodeLabel)
+        .attr('tabindex', d => d.id === focusedNodeId ? 0 : -1)
         .call(drag(simulation))
         .on('click', (event, d) => {
-            if (d.type === 'ingredient') {
-                if (event.ctrlKey || event.metaKey) {
-                    // Add to multi-select with Ctrl/Cmd key
-                    if (selectedIngredients.has(d.name)) {
-                        selectedIngredients.delete(d.name);
-                    } else {
-                        selectedIngredients.add(d.name);
-                    }
-                } else {
-                    // Single select (clear others)
-                    selectedIngredients.clear();
-                    selectedIngredients.add(d.name);
-                }
-
-                // Clear search when filtering by ingredient
-                searchTerm = '';
-                document.getElementById('search').value = '';
-
-                // Update visualization based on ingredient filter
-                updateVisualization();
-            } else {
-                selectedNode = d;
-                showSauceDetails(d);
-            }
+            activateNode(event, d);
             event.stopPropagation();
         })
-        .on('mouseover', (event, d) => {
-            tooltip.transition()
-                .duration(200)
-                .style('opacity', .9);
-
-            let html = `<strong>${d.name}</strong>`;
-            if (d.country) {
-                html += `<br>${getCountryFlag(d.country)} ${d.country}`;
-            }
-
-            if (d.type === 'ingredient') {
-                html += `<br><em>Click to filter by this ingredient</em>`;
-                html += `<br><em>(Hold Ctrl/Cmd to select multiple)</em>`;
-            }
-
-            tooltip.html(html)
-                .style('left', (event.pageX + 10) + 'px')
-                .style('top', (event.pageY - 28) + 'px');
+        .on('keydown', handleNodeKeydown)
+        .on('focus', (event, d) => {
+            focusedNodeId = d.id;
+            const box = event.currentTarget.getBoundingClientRect();
+            showTooltip(d, box.right + window.scrollX, box.top + window.scrollY + 28);
         })
-        .on('mouseout', () => {
-            tooltip.transition()
-                .duration(500)
-                .style('opacity', 0);
-        });
+        .on('blur', hideTooltip)
+        .on('mouseover', (event, d) => showTooltip(d, event.pageX, event.pageY))
+        .on('mouseout', hideTooltip);
+
+    // Keep one node reachable with Tab: the focused one, else the selected one, else the first
+    if (!nodes.some(n => n.id === focusedNodeId)) {
+        const fallback = selectedNode && nodes.find(n => n.id === selectedNode.id) || nodes[0];
+        focusedNodeId = fallback ? fallback.id : null;
+        node.attr('tabindex', d => d.id === focusedNodeId ? 0 : -1);
+    }
 
     // Add circles to nodes
     node.selectAll('circle')
         .data(d => [d])
         .join('circle')
-        .attr('r', d => d.type === 'sauce' ? 10 : 5)
-        .attr('fill', d => {
-            if (d.type === 'ingredient') {
-                return selectedIngredients.has(d.name) ? '#ff5252' : '#7fbbff';
-            }
-
-            // Color sauce nodes based on country
-            const countryColors = {
-                'FR': '#3498db', // French - blue
-                'IT': '#27ae60', // Italian - green
-                'ES': '#f1c40f', // Spanish - yellow
-                'MX': '#e74c3c', // Mexican - red
-                'JP': '#9b59b6', // Japanese - purple
-                'CN': '#e67e22', // Chinese - orange
-                'HK': '#e67e22', // Hong Kong - orange
-                'KR': '#c0392b'  // Korean - dark red
-            };
-
-            return countryColors[d.country] || '#95a5a6'; // Default gray
-        });
+        .attr('r', getNodeRadius)
+        .attr('fill', getNodeColor);
 
     // Add labels to nodes
     node.selectAll('text')
@@ -446,180 +1771,2431 @@ function updateVisualization() {
         .style('font-size', d => d.type === 'sauce' ? '10px' : '8px')
         .style('fill', d => d.type === 'sauce' ? '#000' : '#666');
 
+    // Add pantry coverage rings around sauce nodes
+    const coverageArc = d3.arc().innerRadius(12).outerRadius(15).startAngle(0);
+    node.selectAll('.coverage-ring')
+        .data(d => pantryMode && d.type === 'sauce' && pantryCoverage.has(d.id) ? [pantryCoverage.get(d.id)] : [])
+        .join('path')
+        .attr('class', 'coverage-ring')
+        .attr('d', c => coverageArc({ endAngle: c.coverage * 2 * Math.PI }))
+        .attr('fill', c => d3.interpolateRdYlGn(c.coverage));
+
+    // Mark ingredients that are in the pantry, and the sauces being compared
+    node.classed('in-pantry', d => pantryMode && d.type === 'ingredient' && pantry.has(d.id));
+    node.classed('compared', d => comparedSauces.includes(d));
+
     // Add flags for sauce nodes
-    node.filter(d => d.type === 'sauce' && d.country)
+    node.filter(d => d.type === 'sauce' && d.countries.length > 0)
         .selectAll('.flag')
         .data(d => [d])
         .join('text')
         .attr('class', 'flag')
-        .attr('dx', -15)
+        .attr('dx', d => -15 - (d.countries.length - 1) * 18)
         .attr('dy', -12)
-        .text(d => getCountryFlag(d.country));
+        .text(d => getCountryFlags(d.countries));
 
-    // Set up the force simulation
-    simulation = d3.forceSimulation(nodes)
-        .force('link', d3.forceLink(links).id(d => d.id).distance(80))
-        .force('charge', d3.forceManyBody().strength(-150))
-        .force('center', d3.forceCenter(width / 2, height / 2))
-        .force('x', d3.forceX(width / 2).strength(0.05))
-        .force('y', d3.forceY(height / 2).strength(0.05))
-        .on('tick', () => {
-            link
-                .attr('x1', d => d.source.x)
-                .attr('y1', d => d.source.y)
-                .attr('x2', d => d.target.x)
-                .attr('y2', d => d.target.y);
+    return () => {
+        link
+            .attr('x1', d => d.source.x)
+            .attr('y1', d => d.source.y)
+            .attr('x2', d => d.target.x)
+            .attr('y2', d => d.target.y);
+
+        node.attr('transform', d => `translate(${d.x},${d.y})`);
+    };
+}
+
+// Draw the nodes on the canvas instead, for graphs too large for SVG elements
+function renderCanvasGraph(nodes, links) {
+    canvasNodes = nodes;
+    canvasLinks = links;
+    canvasQuadtree = null;
+    if (hoveredNode && !nodes.includes(hoveredNode)) hoveredNode = null;
+
+    // Keep one node reachable from the outline and keyboard features
+    if (!nodes.some(n => n.id === focusedNodeId)) focusedNodeId = nodes.length > 0 ? nodes[0].id : null;
+
+    return drawCanvas;
+}
+
+// Switch between the SVG and canvas renderers, clearing what the other one drew
+function setCanvasMode(enabled, nodeCount) {
+    if (enabled !== canvasMode) {
+        canvasMode = enabled;
+        canvas.property('hidden', !enabled);
+        svg.select('g').selectAll('.node, .link').remove();
+        svg.style('cursor', null);
+        hoveredNode = null;
+        canvasNodes = [];
+        canvasLinks = [];
+    }
+
+    svg.attr('aria-label', canvasMode ?
+        `Sauce network of ${nodeCount} nodes, drawn as an image. Use the outline view to go through them with the keyboard` :
+        'Sauce network. Tab to a node, use the arrow keys to move to parents, derivatives and siblings, and Enter to open it');
+}
+
+// Match the canvas to the graph area, at the screen's pixel density
+function resizeCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    canvas
+        .attr('width', Math.round(width * ratio))
+        .attr('height', Math.round(height * ratio))
+        .style('width', `${width}px`)
+        .style('height', `${height}px`);
+}
+
+// Radius of a node's circle
+function getNodeRadius(d) {
+    return d.type === 'sauce' ? 10 : 5;
+}
+
+// Fill of a node's circle: ingredients by category (or filter), sauces by country
+function getNodeColor(d) {
+    if (d.type === 'ingredient') {
+        if (selectedIngredients.get(d.id) === 'exclude') return '#555';
+        return selectedIngredients.has(d.id) ? '#ff5252' : INGREDIENT_CATEGORIES[d.category].color;
+    }
+
+    // Color sauce nodes based on country
+    return COUNTRY_COLORS[d.countries[0]] || DEFAULT_SAUCE_COLOR;
+}
+
+// Paint the canvas graph at the current zoom. Links are drawn in batches of
+// one style, labels only from a zoom level on (or for the hovered and
+// selected nodes) and only for nodes in view
+function drawCanvas() {
+    const context = canvas.node().getContext('2d');
+    if (!context) return;
+    canvasQuadtree = null;
+
+    const ratio = window.devicePixelRatio || 1;
+    const transform = d3.zoomTransform(svg.node());
+    context.setTransform(ratio, 0, 0, ratio, 0, 0);
+    context.clearRect(0, 0, width, height);
+    context.translate(transform.x, transform.y);
+    context.scale(transform.k, transform.k);
+
+    // Links, with an arrowhead on parent links like the SVG markers. In focus
+    // mode the walked links are drawn solid and the others faded
+    const isFaded = link => !!focusNeighborhood && !focusNeighborhood.links.has(link);
+    const linkGroups = d3.group(canvasLinks, link => link.type === 'parent' ? link.relationshipType : link.type, isFaded);
+    linkGroups.forEach((groups, key) => groups.forEach((links, faded) => {
+        const style = CANVAS_LINK_STYLES[key];
+        const fade = faded ? 0.15 : 1;
+        context.globalAlpha = (focusNeighborhood && !faded ? 1 : style.opacity) * fade;
+        context.strokeStyle = style.color;
+        context.setLineDash(style.dash);
+        context.lineCap = key === 'similar' ? 'round' : 'butt';
+        if (key === 'similar') {
+            links.forEach(link => {
+                context.lineWidth = 1 + link.score * 3;
+                context.beginPath();
+                context.moveTo(link.source.x, link.source.y);
+                context.lineTo(link.target.x, link.target.y);
+                context.stroke();
+            });
+            return;
+        }
 
-            node.attr('transform', d => `translate(${d.x},${d.y})`);
+        context.lineWidth = style.width;
+        context.beginPath();
+        links.forEach(link => {
+            context.moveTo(link.source.x, link.source.y);
+            context.lineTo(link.target.x, link.target.y);
         });
+        context.stroke();
 
-    // Update sauce details if a node is selected
-    if (selectedNode) {
-        // Check if selected node is still visible
-        if (nodes.some(n => n.id === selectedNode.id)) {
-            showSauceDetails(selectedNode);
-        } else {
-            // Clear selection if node is now hidden
-            selectedNode = null;
-            document.getElementById('sauce-details').innerHTML = '<p>Select a sauce to see details</p>';
+        if (links[0].type !== 'parent') return;
+        context.globalAlpha = fade;
+        context.fillStyle = RELATIONSHIP_TYPES[key].color;
+        context.beginPath();
+        links.forEach(link => {
+            const angle = Math.atan2(link.target.y - link.source.y, link.target.x - link.source.x);
+            const tip = [link.target.x - 12 * Math.cos(angle), link.target.y - 12 * Math.sin(angle)];
+            context.moveTo(tip[0], tip[1]);
+            context.lineTo(tip[0] - 12 * Math.cos(angle) + 6 * Math.sin(angle), tip[1] - 12 * Math.sin(angle) - 6 * Math.cos(angle));
+            context.lineTo(tip[0] - 12 * Math.cos(angle) - 6 * Math.sin(angle), tip[1] - 12 * Math.sin(angle) + 6 * Math.cos(angle));
+            context.closePath();
+        });
+        context.fill();
+    }));
+    context.globalAlpha = 1;
+    context.setLineDash([]);
+    context.lineCap = 'butt';
+
+    // Nodes, with the pantry coverage ring and the selected, compared, focus, hovered and pantry outlines
+    const isHighlighted = d => !!focusNeighborhood && focusNeighborhood.nodes.has(d);
+    canvasNodes.forEach(d => {
+        context.globalAlpha = focusNeighborhood && !isHighlighted(d) ? 0.3 : 1;
+        const coverage = pantryMode && d.type === 'sauce' ? pantryCoverage.get(d.id) : null;
+        if (coverage) {
+            context.beginPath();
+            context.arc(d.x, d.y, 13.5, -Math.PI / 2, -Math.PI / 2 + coverage.coverage * 2 * Math.PI);
+            context.lineWidth = 3;
+            context.strokeStyle = d3.interpolateRdYlGn(coverage.coverage);
+            context.stroke();
         }
-    }
+
+        const isSelected = selectedNode && selectedNode.id === d.id;
+        const inPantry = pantryMode && d.type === 'ingredient' && pantry.has(d.id);
+        const outline = isSelected ? '#e74c3c' : comparedSauces.includes(d) ? '#8e44ad' : inPantry ? '#27ae60' : isHighlighted(d) ? '#f39c12' : d === hoveredNode ? '#333' : null;
+        context.beginPath();
+        context.arc(d.x, d.y, getNodeRadius(d), 0, 2 * Math.PI);
+        context.fillStyle = getNodeColor(d);
+        context.fill();
+        context.lineWidth = outline ? 3 : 2;
+        context.strokeStyle = outline || '#fff';
+        context.stroke();
+    });
+
+    // Labels and flags for the nodes in view
+    const [[left, top], [right, bottom]] = [transform.invert([0, 0]), transform.invert([width, height])];
+    context.textBaseline = 'middle';
+    canvasNodes.forEach(d => {
+        const isPicked = d === hoveredNode || (selectedNode && selectedNode.id === d.id) || isHighlighted(d);
+        if (!isPicked && transform.k < CANVAS_LABEL_ZOOM[d.type]) return;
+        if (d.x < left - 100 || d.x > right || d.y < top - 20 || d.y > bottom + 20) return;
+
+        context.globalAlpha = focusNeighborhood && !isHighlighted(d) ? 0.3 : 1;
+        context.font = d.type === 'sauce' ? '10px sans-serif' : '8px sans-serif';
+        context.fillStyle = d.type === 'sauce' ? '#000' : '#666';
+        context.fillText(d.name, d.x + 12, d.y);
+        if (d.type === 'sauce' && d.countries.length > 0) {
+            context.font = '12px sans-serif';
+            context.fillText(getCountryFlags(d.countries), d.x - 15 - (d.countries.length - 1) * 18, d.y - 12);
+        }
+    });
+    context.globalAlpha = 1;
 }
 
-// Reset filters and search
-function resetFilters() {
-    searchTerm = '';
-    document.getElementById('search').value = '';
-    selectedIngredients.clear();
-    updateVisualization();
+// Find the canvas node under a point on the graph area, if any
+function findCanvasNode([x, y]) {
+    if (!canvasQuadtree) canvasQuadtree = d3.quadtree(canvasNodes, d => d.x, d => d.y);
+
+    const transform = d3.zoomTransform(svg.node());
+    const [graphX, graphY] = transform.invert([x, y]);
+    // Keep small nodes clickable when zoomed out: at least 4 screen pixels around them
+    const reach = 4 / transform.k;
+    const d = canvasQuadtree.find(graphX, graphY, 10 + reach);
+    return d && Math.hypot(d.x - graphX, d.y - graphY) <= getNodeRadius(d) + reach ? d : undefined;
 }
 
-// Drag functionality for nodes
-function drag(simulation) {
+// Drag canvas nodes. The subject is the node under the pointer, at its screen
+// position, so the drag can be turned back into graph coordinates at any zoom
+function canvasDrag() {
+    function dragsubject(event) {
+        const d = findCanvasNode([event.x, event.y]);
+        if (!d) return null;
+        const [x, y] = d3.zoomTransform(svg.node()).apply([d.x, d.y]);
+        return { node: d, x, y };
+    }
+
     function dragstarted(event) {
-        if (!simulation) return;
         if (!event.active) simulation.alphaTarget(0.3).restart();
-        event.subject.fx = event.subject.x;
-        event.subject.fy = event.subject.y;
+        event.subject.node.fx = event.subject.node.x;
+        event.subject.node.fy = event.subject.node.y;
     }
 
     function dragged(event) {
-        event.subject.fx = event.x;
-        event.subject.fy = event.y;
+        const [x, y] = d3.zoomTransform(svg.node()).invert([event.x, event.y]);
+        event.subject.node.fx = x;
+        event.subject.node.fy = y;
     }
 
     function dragended(event) {
-        if (!simulation) return;
         if (!event.active) simulation.alphaTarget(0);
-        event.subject.fx = null;
-        event.subject.fy = null;
+        if (layoutMode !== 'force') return;
+        event.subject.node.fx = null;
+        event.subject.node.fy = null;
     }
 
     return d3.drag()
+        .container(function () { return this; })
+        .filter(event => canvasMode && !event.ctrlKey && !event.button)
+        .subject(dragsubject)
         .on('start', dragstarted)
         .on('drag', dragged)
         .on('end', dragended);
 }
 
-// Reset view to fit the entire graph
-function resetView() {
-    const g = svg.select('g');
+// Render the active filters as an expression, e.g.
+// [Butter] AND ([Onions] OR [Garlic]) AND NOT [Milk]
+function renderFilterInfo(filterInfo) {
+    const chip = id => `
+        <span class="filter-tag mode-${selectedIngredients.get(id)}">
+            <select class="filter-mode" data-id="${escapeHtml(id)}" title="How this ingredient filters">
+                ${Object.entries(FILTER_MODES).map(([mode, info]) =>
+                    `<option value="${mode}" ${selectedIngredients.get(id) === mode ? 'selected' : ''}>${info.label}</option>`
+                ).join('')}
+            </select>
+            ${escapeHtml(getIngredientName(id))}
+            <button class="filter-remove" data-id="${escapeHtml(id)}" title="Remove filter">&times;</button>
+        </span>
+    `;
 
-    // Reset zoom
-    svg.transition()
-        .duration(750)
-        .call(zoomHandler.transform, d3.zoomIdentity.scale(0.8).translate(width / 2, height / 2));
+    const required = getFilteredIngredientIds('require');
+    const anyOf = getFilteredIngredientIds('any');
+    const excluded = getFilteredIngredientIds('exclude');
+    const terms = [
+        ...required.map(chip),
+        ...(anyOf.length > 1 ?
+            [`<span class="filter-group">( ${anyOf.map(chip).join('<span class="filter-op">OR</span>')} )</span>`] :
+            anyOf.map(chip)),
+        ...excluded.map(id => `<span class="filter-op">NOT</span>${chip(id)}`)
+    ];
 
-    // Reset filters
-    resetFilters();
+    filterInfo.innerHTML = `
+        <div class="active-filters">
+            ${searchTerm ? `<span class="filter-tag">Search: "${escapeHtml(searchTerm)}"</span>` : ''}
+            ${terms.join('<span class="filter-op">AND</span>')}
+            ${Array.from(dietaryFilters, label => `<span class="filter-tag">${DIETARY_LABELS[label].label}</span>`).join('')}
+        </div>
+        ${selectedIngredients.size > 0 ? `
+            <label class="match-mode">
+                <input type="checkbox" id="match-nested" ${ingredientMatchMode === 'nested' ? 'checked' : ''}>
+                Look inside sauce components
+            </label>
+        ` : ''}
+        <button id="clear-filters">Clear All Filters</button>
+    `;
 
-    // Clear sauce details
-    selectedNode = null;
-    document.getElementById('sauce-details').innerHTML = '<p>Select a sauce to see details</p>';
+    filterInfo.querySelectorAll('.filter-mode').forEach(select => {
+        select.addEventListener('change', () => {
+            selectedIngredients.set(select.dataset.id, select.value);
+            updateVisualization();
+        });
+    });
+    filterInfo.querySelectorAll('.filter-remove').forEach(btn => {
+        btn.addEventListener('click', () => {
+            selectedIngredients.delete(btn.dataset.id);
+            updateVisualization();
+        });
+    });
+    const matchNested = document.getElementById('match-nested');
+    if (matchNested) {
+        matchNested.addEventListener('change', (e) => {
+            ingredientMatchMode = e.target.checked ? 'nested' : 'direct';
+            updateVisualization();
+        });
+    }
+    document.getElementById('clear-filters').addEventListener('click', () => {
+        resetFilters();
+    });
 }
 
-// Fetch Wikipedia image for a sauce
-async function fetchWikipediaImage(wikipediaUrl) {
-    // Return cached image if available
-    if (imageCache[wikipediaUrl]) {
-        return imageCache[wikipediaUrl];
-    }
+// Identify a link by its type and ends, whether or not the simulation has
+// replaced the end ids with the nodes
+function getLinkKey(link) {
+    return `${link.type}:${link.source.id || link.source}>${link.target.id || link.target}`;
+}
 
-    // Extract page title from URL
-    const pageTitle = wikipediaUrl.split('/').pop();
+// Start nodes shown for the first time next to a neighbor that is already
+// placed, rather than wherever the simulation would drop them
+function placeNewNodes(nodes, links) {
+    const nodesById = new Map(nodes.map(n => [n.id, n]));
+    const placed = new Set(nodes.filter(n => n.x !== undefined));
+    if (placed.size === 0) return;
 
+    const jitter = () => (Math.random() - 0.5) * 40;
+    links.forEach(link => {
+        const source = nodesById.get(link.source.id || link.source);
+        const target = nodesById.get(link.target.id || link.target);
+        if (!source || !target) return;
+        [[source, target], [target, source]].forEach(([node, neighbor]) => {
+            if (node.x === undefined && placed.has(neighbor)) {
+                node.x = neighbor.x + jitter();
+                node.y = neighbor.y + jitter();
+            }
+        });
+    });
+    nodes.filter(n => n.x === undefined).forEach(n => {
+        n.x = width / 2 + jitter();
+        n.y = height / 2 + jitter();
+    });
+}
+
+// Click (or Enter) on a node: filter by an ingredient, open a sauce's details
+function activateNode(event, d) {
+    // Shift-click adds a sauce to the comparison, or takes it out
+    if (event.shiftKey && d.type === 'sauce') {
+        toggleCompared(d);
+        return;
+    }
+
+    // In connect mode a click picks an end of the connection instead of filtering
+    if (connectMode) {
+        pickConnectNode(d);
+        if (d.type === 'ingredient') return;
+    }
+
+    if (d.type === 'ingredient') {
+        if (event.altKey) {
+            // Exclude with Alt key
+            selectedIngredients.set(d.id, 'exclude');
+        } else if (event.ctrlKey || event.metaKey) {
+            // Add to multi-select with Ctrl/Cmd key
+            if (selectedIngredients.has(d.id)) {
+                selectedIngredients.delete(d.id);
+            } else {
+                selectedIngredients.set(d.id, 'require');
+            }
+        } else {
+            // Single select (clear others)
+            selectedIngredients.clear();
+            selectedIngredients.set(d.id, 'require');
+        }
+
+        // Clear search when filtering by ingredient
+        searchTerm = '';
+        document.getElementById('search').value = '';
+
+        // Update visualization based on ingredient filter
+        updateVisualization();
+    } else {
+        selectedNode = d;
+        showSauceDetails(d);
+    }
+}
+
+// Show the tooltip for a node at a page position
+function showTooltip(d, x, y) {
+    tooltip.transition()
+        .duration(200)
+        .style('opacity', .9);
+
+    let html = `<strong>${escapeHtml(d.name)}</strong>`;
+    if (d.countries.length > 0) {
+        html += `<br>${getCountryFlags(d.countries)} ${d.countries.join(', ')}`;
+        if (d.countryDisputed) html += ' <em>(disputed)</em>';
+    }
+
+    if (d.type === 'ingredient') {
+        html += `<br>${INGREDIENT_CATEGORIES[d.category].label}`;
+        html += `<br><em>Click to filter by this ingredient</em>`;
+        html += `<br><em>(Hold Ctrl/Cmd to select multiple, Alt to exclude)</em>`;
+    }
+
+    tooltip.html(html)
+        .style('left', (x + 10) + 'px')
+        .style('top', (y - 28) + 'px');
+}
+
+// Fade the tooltip out
+function hideTooltip() {
+    tooltip.transition()
+        .duration(500)
+        .style('opacity', 0);
+}
+
+// Describe a node for screen readers
+function getNodeLabel(d) {
+    if (d.type === 'ingredient') {
+        const count = (graph.index.saucesByIngredient.get(d.id) || []).length;
+        const filter = selectedIngredients.has(d.id) ? `, filter: ${FILTER_MODES[selectedIngredients.get(d.id)].label}` : '';
+        return `${d.name}, ${INGREDIENT_CATEGORIES[d.category].label.toLowerCase()} ingredient used in ${count} sauce${count !== 1 ? 's' : ''}${filter}`;
+    }
+
+    const origin = d.countries.length > 0 ? ` from ${d.countries.map(getCountryName).join(d.countryDisputed ? ' or ' : ' and ')}` : '';
+    const children = getChildSauces(d.id).length;
+    return `${d.name}, ${d.isMotherSauce ? 'mother sauce' : 'sauce'}${origin}, ` +
+        `${d.parents.length} parent${d.parents.length !== 1 ? 's' : ''}, ${children} derivative${children !== 1 ? 's' : ''}`;
+}
+
+// Move keyboard focus to a node in the graph, panning to it when it is off screen
+function focusNode(nodeId) {
+    const element = svg.selectAll('.node').filter(d => d.id === nodeId);
+    if (element.empty()) return;
+
+    focusedNodeId = nodeId;
+    svg.selectAll('.node').attr('tabindex', d => d.id === nodeId ? 0 : -1);
+    element.node().focus();
+
+    const d = element.datum();
+    const [x, y] = d3.zoomTransform(svg.node()).apply([d.x, d.y]);
+    if (x < 0 || x > width || y < 0 || y > height) centerOnNode(d);
+}
+
+// Find where an arrow key leads from a node among the shown nodes. Up goes to
+// a parent (or, from an ingredient, a sauce using it), Down to a derivative,
+// Left and Right to the previous and next sibling
+function getNodeNeighbor(d, key, nodes) {
+    const shownIds = new Set(nodes.map(n => n.id));
+    const byName = (a, b) => a.name.localeCompare(b.name);
+    const shownSauces = nodes.filter(n => n.type === 'sauce');
+
+    if (d.type === 'ingredient') {
+        if (key === 'ArrowUp' || key === 'ArrowDown') {
+            return { node: shownSauces.filter(sauce => sauce.ingredientIds.includes(d.id)).sort(byName)[0], missing: 'No sauce using it is shown' };
+        }
+        const siblings = nodes.filter(n => n.type === 'ingredient').sort(byName);
+        return { node: siblings[(siblings.indexOf(d) + (key === 'ArrowRight' ? 1 : -1) + siblings.length) % siblings.length] };
+    }
+
+    const shownParents = d.parents.filter(parent => shownIds.has(parent.id));
+    if (key === 'ArrowUp') {
+        return { node: shownParents.length > 0 ? nodes.find(n => n.id === shownParents[0].id) : null, missing: 'No parent sauce shown' };
+    }
+    if (key === 'ArrowDown') {
+        return { node: getChildSauces(d.id).filter(child => shownIds.has(child.id)).sort(byName)[0], missing: 'No derivative shown' };
+    }
+
+    // Siblings share the first shown parent; sauces without one are siblings of each other
+    const siblings = shownParents.length > 0 ?
+        getChildSauces(shownParents[0].id).filter(child => shownIds.has(child.id)).sort(byName) :
+        shownSauces.filter(sauce => !sauce.parents.some(parent => shownIds.has(parent.id))).sort(byName);
+    const index = siblings.findIndex(sibling => sibling.id === d.id);
+    if (siblings.length < 2) return { node: null, missing: 'No other sauce at this level' };
+    return { node: siblings[(index + (key === 'ArrowRight' ? 1 : -1) + siblings.length) % siblings.length] };
+}
+
+// Keyboard controls for a focused node: arrows move, Enter or Space activates
+function handleNodeKeydown(event, d) {
+    if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        activateNode(event, d);
+    } else if (['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'].includes(event.key)) {
+        event.preventDefault();
+        const { node, missing } = getNodeNeighbor(d, event.key, svg.selectAll('.node').data());
+        if (node && node.id !== d.id) {
+            focusNode(node.id);
+        } else if (missing) {
+            announce(missing);
+        }
+    }
+}
+
+// Read a message out in screen readers through the live region
+function announce(message) {
+    document.getElementById('live-region').textContent = message;
+}
+
+// Draw the shown sauces on the world map: the country outlines shaded and a
+// circle per country sized by how many of them come from it, and arcs for
+// parent links between sauces from different countries. Circles and arcs are
+// anchored at the center points from countries.json; both files are loaded
+// the first time the map is shown
+function updateMapView(nodes, links) {
+    const container = document.getElementById('map-view');
+    if (!countryPoints) {
+        container.innerHTML = '<p class="map-note">Loading map...</p>';
+        loadCountryMap()
+            .then(() => {
+                if (mapMode) updateMapView(shownGraph.nodes, shownGraph.links);
+            })
+            .catch(error => {
+                console.error('Error loading the map:', error);
+                container.innerHTML = `<p class="map-note">The map could not be loaded: ${error.message}</p>`;
+            });
+        return;
+    }
+
+    const mapWidth = container.clientWidth || 400;
+    const mapHeight = Math.max(container.clientHeight - 60, 250);
+    const projection = d3.geoNaturalEarth1().fitExtent([[10, 10], [mapWidth - 10, mapHeight - 10]], { type: 'Sphere' });
+    const path = d3.geoPath(projection);
+    const activeCountry = getActiveCountry();
+
+    // Count the sauces per country, and group the parent links that cross a
+    // border by the countries they join (each sauce's first country)
+    const sauces = nodes.filter(node => node.type === 'sauce');
+    const counts = d3.rollup(sauces.flatMap(sauce => sauce.countries), codes => codes.length, code => code);
+    const crossings = new Map();
+    links.filter(link => link.type === 'parent').forEach(link => {
+        const parent = graph.index.saucesById.get(link.source.id || link.source);
+        const child = graph.index.saucesById.get(link.target.id || link.target);
+        const [from, to] = [parent.countries[0], child.countries[0]];
+        if (!from || !to || from === to || !countryPoints.has(from) || !countryPoints.has(to)) return;
+        const key = `${from}>${to}`;
+        if (!crossings.has(key)) crossings.set(key, { from, to, pairs: [] });
+        crossings.get(key).pairs.push(`${parent.name} → ${child.name}`);
+    });
+
+    const map = d3.select(container).html('')
+        .append('svg')
+        .attr('width', mapWidth)
+        .attr('height', mapHeight)
+        .attr('role', 'group')
+        .attr('aria-label', 'World map of where the shown sauces come from. Choose a country to show only its sauces');
+    map.append('defs').append('marker')
+        .attr('id', 'map-arrow')
+        .attr('viewBox', '0 -5 10 10')
+        .attr('refX', 10)
+        .attr('markerWidth', 5)
+        .attr('markerHeight', 5)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M0,-5L10,0L0,5');
+    map.append('path').attr('class', 'map-sphere').attr('d', path({ type: 'Sphere' }));
+    map.append('path').attr('class', 'map-graticule').attr('d', path(d3.geoGraticule10()));
+
+    const describeCountry = d => `${getCountryFlag(d.code)} ${getCountryName(d.code)}: ${d.count} sauce${d.count !== 1 ? 's' : ''}`;
+    const shade = d3.scaleSqrt().domain([0, d3.max(counts.values()) || 1]).range([0.25, 0.8]);
+    const shapes = map.append('g')
+        .selectAll('path')
+        .data(Array.from(countryShapes, ([code, feature]) => ({ code, feature, count: counts.get(code) || 0 })))
+        .join('path')
+        .attr('class', d => `map-land${d.count > 0 ? ' has-sauces' : ''}${d.code === activeCountry ? ' active' : ''}`)
+        .attr('d', d => path(d.feature))
+        .attr('fill-opacity', d => d.count > 0 && d.code !== activeCountry ? shade(d.count) : null);
+    shapes.append('title').text(describeCountry);
+    // The circles carry the keyboard focus, so the outlines only take clicks
+    shapes.filter(d => d.count > 0 || d.code === activeCountry)
+        .on('click', (event, d) => filterByCountry(d.code));
+
+    // Bend each arc to its left, so links in both directions stay apart
+    map.append('g')
+        .selectAll('path')
+        .data(Array.from(crossings.values()))
+        .join('path')
+        .attr('class', 'map-arc')
+        .attr('d', crossing => {
+            const [x1, y1] = projection(countryPoints.get(crossing.from));
+            const [x2, y2] = projection(countryPoints.get(crossing.to));
+            const [cx, cy] = [(x1 + x2) / 2 + (y2 - y1) * 0.3, (y1 + y2) / 2 - (x2 - x1) * 0.3];
+            return `M${x1},${y1}Q${cx},${cy} ${x2},${y2}`;
+        })
+        .attr('stroke-width', crossing => 1 + Math.log2(crossing.pairs.length))
+        .attr('marker-end', 'url(#map-arrow)')
+        .append('title')
+        .text(crossing => `${getCountryName(crossing.from)} → ${getCountryName(crossing.to)}:\n${crossing.pairs.join('\n')}`);
+
+    // Countries too small for an outline at this scale are small dots when
+    // they have no shown sauces; the larger circles are drawn last
+    const radius = d3.scaleSqrt().domain([0, d3.max(counts.values()) || 1]).range([0, 18]);
+    const countries = Array.from(countryPoints, ([code, coordinates]) => ({ code, coordinates, count: counts.get(code) || 0 }))
+        .filter(d => d.count > 0 || d.code === activeCountry || !countryShapes.has(d.code))
+        .sort((a, b) => a.count - b.count);
+    const country = map.append('g')
+        .selectAll('g')
+        .data(countries)
+        .join('g')
+        .attr('class', d => `map-country${d.count > 0 ? ' has-sauces' : ''}${d.code === activeCountry ? ' active' : ''}`)
+        .attr('transform', d => `translate(${projection(d.coordinates)})`);
+    country.append('circle')
+        .attr('r', d => d.count > 0 ? Math.max(4, radius(d.count)) : 2);
+    country.append('title')
+        .text(describeCountry);
+    country.filter(d => d.count > 0 || d.code === activeCountry)
+        .attr('role', 'button')
+        .attr('tabindex', 0)
+        .attr('aria-label', d => `${getCountryName(d.code)}, ${d.count} sauce${d.count !== 1 ? 's' : ''}`)
+        .on('click', (event, d) => filterByCountry(d.code))
+        .on('keydown', (event, d) => {
+            if (event.key !== 'Enter' && event.key !== ' ') return;
+            event.preventDefault();
+            filterByCountry(d.code);
+        })
+        .filter(d => d.count > 0)
+        .append('text')
+        .attr('dy', '.35em')
+        .text(d => d.count);
+
+    const unmapped = Array.from(counts.keys()).filter(code => !countryPoints.has(code));
+    container.insertAdjacentHTML('beforeend', `
+        <p class="map-note">
+            Shading and circles show how many of the shown sauces come from each country, arcs the
+            parent links that cross a border. Choose a country to show only its sauces.
+        </p>
+        ${unmapped.length > 0 ? `<p class="map-note">Not on the map: ${unmapped.map(code => `${code} (${counts.get(code)})`).join(', ')}</p>` : ''}
+    `);
+}
+
+// Fetch the country center points and outlines for the map, once. The
+// outlines are keyed by ISO numeric code, which countries.json maps to the
+// letter codes the sauces use
+function loadCountryMap() {
+    if (!countryMapRequest) {
+        const fetchJson = url => fetch(url).then(response => {
+            if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+            return response.json();
+        });
+        countryMapRequest = Promise.all([fetchJson('countries.json'), fetchJson('vendor/countries-110m.json')])
+            .then(([points, world]) => {
+                const codesByNumber = new Map(points.features.map(feature => [feature.properties.numeric, feature.properties.code]));
+                countryShapes = new Map(topojson.feature(world, world.objects.countries).features
+                    .filter(feature => codesByNumber.has(feature.id))
+                    .map(feature => [codesByNumber.get(feature.id), feature]));
+                countryPoints = new Map(points.features.map(feature => [feature.properties.code, feature.geometry.coordinates]));
+            })
+            .catch(error => {
+                countryMapRequest = null;
+                throw error;
+            });
+    }
+    return countryMapRequest;
+}
+
+// The country code the search is narrowed to, when it has one country: filter
+function getActiveCountry() {
+    const countries = parseSearchQuery(searchTerm).fields.filter(({ field }) => field === 'country');
+    return countries.length === 1 && /^[a-z]{2}$/.test(countries[0].value) ? countries[0].value.toUpperCase() : null;
+}
+
+// Narrow the search to the sauces from a country, keeping the rest of the
+// query, or take the country out again when the same country is chosen twice
+function filterByCountry(code) {
+    const active = getActiveCountry();
+    const tokens = (searchTerm.match(SEARCH_TOKEN_PATTERN) || []).filter(token => !/^country:/i.test(token));
+    if (active !== code) tokens.push(`country:${code}`);
+    searchTerm = tokens.join(' ');
+    document.getElementById('search').value = searchTerm;
+    updateVisualization();
+}
+
+// Add a sauce to the comparison, or take it out if it is already in it
+function toggleCompared(sauce) {
+    const index = comparedSauces.indexOf(sauce);
+    if (index >= 0) {
+        comparedSauces.splice(index, 1);
+        announce(`Removed ${sauce.name} from the comparison`);
+    } else {
+        comparedSauces.push(sauce);
+        announce(`Added ${sauce.name} to the comparison`);
+    }
+    updateCompareView();
+}
+
+// Show the comparison table under the graph, mark the compared sauces in it
+// and keep the URL in step. One sauce on its own only gets a hint
+function updateCompareView() {
+    const view = document.getElementById('compare-view');
+    const container = document.getElementById('compare-table');
+    view.hidden = comparedSauces.length === 0;
+
+    svg.selectAll('.node').classed('compared', d => comparedSauces.includes(d));
+    if (canvasMode) drawCanvas();
+    const detailsButton = document.getElementById('compare-sauce');
+    if (detailsButton && selectedNode) {
+        detailsButton.textContent = comparedSauces.includes(selectedNode) ? 'Remove from Comparison' : 'Add to Comparison';
+    }
+    updateUrlState();
+
+    if (comparedSauces.length < 2) {
+        container.innerHTML = comparedSauces.length === 1 ?
+            `<p class="compare-hint">Shift-click another sauce to compare it with ${escapeHtml(comparedSauces[0].name)}.</p>` : '';
+        return;
+    }
+
+    const { shared, columns } = getComparison();
+    const itemsHtml = items => items.length > 0 ? `
+        <ul>
+            ${items.map(item => `<li${item.sauce ? ' class="compare-component"' : ''}>${escapeHtml(item.name)}</li>`).join('')}
+        </ul>
+    ` : '<em>None</em>';
+    const row = (label, cell) => `<tr><th scope="row">${label}</th>${columns.map(column => `<td>${cell(column)}</td>`).join('')}</tr>`;
+
+    container.innerHTML = `
+        <table class="compare-table">
+            <thead>
+                <tr>
+                    <td></td>
+                    ${columns.map(({ sauce }) => `
+                        <th scope="col">
+                            <span class="sauce-link" data-id="${escapeHtml(sauce.id)}">${escapeHtml(sauce.name)}</span>
+                            <button class="compare-remove" data-id="${escapeHtml(sauce.id)}" aria-label="Remove ${escapeHtml(sauce.name)} from the comparison">&times;</button>
+                        </th>
+                    `).join('')}
+                </tr>
+            </thead>
+            <tbody>
+                ${row('Country', ({ sauce }) => sauce.countries.length > 0 ?
+                    sauce.countries.map(code => `${getCountryFlag(code)} ${getCountryName(code)}`).join(sauce.countryDisputed ? ' or ' : ', ') :
+                    '<em>Unknown</em>')}
+                ${row('Parents', ({ sauce }) => sauce.parents.length > 0 ? `
+                    <ul>
+                        ${sauce.parents.filter(parent => graph.index.saucesById.has(parent.id)).map(parent => `
+                            <li>
+                                ${RELATIONSHIP_TYPES[parent.type].label}
+                                <span class="sauce-link" data-id="${escapeHtml(parent.id)}">${escapeHtml(graph.index.saucesById.get(parent.id).name)}</span>
+                                ${parent.description ? `<div class="compare-detail">${escapeHtml(parent.description)}</div>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+                ` : '<em>None</em>')}
+                <tr>
+                    <th scope="row">Shared by all (${shared.length})</th>
+                    <td colspan="${columns.length}">${itemsHtml(shared)}</td>
+                </tr>
+                ${comparedSauces.length > 2 ? row('Shared with some', column => itemsHtml(column.someShared)) : ''}
+                ${row('Only in this sauce', column => itemsHtml(column.unique))}
+            </tbody>
+        </table>
+    `;
+
+    container.querySelectorAll('.sauce-link').forEach(elem => {
+        elem.addEventListener('click', () => {
+            selectedNode = graph.index.saucesById.get(elem.dataset.id);
+            showSauceDetails(selectedNode);
+        });
+    });
+    container.querySelectorAll('.compare-remove').forEach(button => {
+        button.addEventListener('click', () => toggleCompared(graph.index.saucesById.get(button.dataset.id)));
+    });
+}
+
+// What a sauce is compared on, as { key, name } items: its own ingredients
+// and sauce components, or its base ingredients with the components opened up
+function getComparisonItems(sauce) {
+    const ingredients = (compareExpanded ? sauce.allIngredientIds : sauce.ingredientIds)
+        .map(id => ({ key: id, name: getIngredientName(id) }));
+    const components = compareExpanded ? [] : sauce.componentIds
+        .map(id => ({ key: `sauce:${id}`, name: graph.index.saucesById.get(id).name, sauce: true }));
+    return [...ingredients, ...components];
+}
+
+// Split the compared sauces' ingredients into those all of them share and,
+// per sauce, those only it has and those it shares with some of the others.
+// Every ingredient, most shared first, and each sauce's items come along for the CSV
+function getComparison() {
+    const itemsBySauce = comparedSauces.map(sauce => new Map(getComparisonItems(sauce).map(item => [item.key, item])));
+    const counts = d3.rollup(itemsBySauce.flatMap(items => Array.from(items.keys())), keys => keys.length, key => key);
+    const byName = (a, b) => a.name.localeCompare(b.name);
+
+    const allItems = new Map(itemsBySauce.flatMap(items => Array.from(items)));
+    return {
+        shared: Array.from(allItems.values()).filter(item => counts.get(item.key) === comparedSauces.length).sort(byName),
+        columns: comparedSauces.map((sauce, i) => {
+            const items = Array.from(itemsBySauce[i].values()).sort(byName);
+            return {
+                sauce,
+                unique: items.filter(item => counts.get(item.key) === 1),
+                someShared: items.filter(item => counts.get(item.key) > 1 && counts.get(item.key) < comparedSauces.length)
+            };
+        }),
+        allItems: Array.from(allItems.values()).sort((a, b) => counts.get(b.key) - counts.get(a.key) || byName(a, b)),
+        itemsBySauce
+    };
+}
+
+// The comparison as CSV: a column per sauce, with its country and parents,
+// then a row per ingredient marking the sauces that use it
+function getComparisonCsv() {
+    const { allItems, itemsBySauce } = getComparison();
+    return formatCsv([
+        ['', ...comparedSauces.map(sauce => sauce.name)],
+        ['country', ...comparedSauces.map(sauce => sauce.countries.join(';'))],
+        ['parents', ...comparedSauces.map(sauce => sauce.parents
+            .filter(parent => graph.index.saucesById.has(parent.id))
+            .map(parent => `${RELATIONSHIP_TYPES[parent.type].label} ${graph.index.saucesById.get(parent.id).name}` +
+                (parent.description ? ` (${parent.description})` : ''))
+            .join('; '))],
+        ...allItems.map(item => [item.name, ...itemsBySauce.map(items => items.has(item.key) ? 'x' : '')])
+    ]);
+}
+
+// Copy a link to the current view, comparison included, to the clipboard
+function copyComparisonLink() {
+    updateUrlState();
+    if (!navigator.clipboard) {
+        window.prompt('Copy this link to the comparison:', location.href);
+        return;
+    }
+    navigator.clipboard.writeText(location.href)
+        .then(() => announce('Link to the comparison copied'))
+        .catch(() => window.prompt('Copy this link to the comparison:', location.href));
+}
+
+// Fill the connect tool's autocomplete with every sauce and ingredient
+function updateConnectOptions() {
+    const names = graph.allNodes.map(n => n.name).sort((a, b) => a.localeCompare(b));
+    document.getElementById('connect-options').innerHTML =
+        Array.from(new Set(names)).map(name => `<option value="${escapeHtml(name)}">`).join('');
+}
+
+// Find a sauce by name (ignoring case and accents), else an ingredient by name or alias
+function findNodeByName(name) {
+    const folded = foldName(name || '');
+    if (!folded) return null;
+    return graph.nodes.find(sauce => foldName(sauce.name) === folded) ||
+        graph.index.ingredientsById.get(resolveIngredient(name).id) || null;
+}
+
+// Put a clicked node in the connect form: the first click sets where the
+// connection starts, the second where it ends, which runs the search
+function pickConnectNode(d) {
+    const fromInput = document.getElementById('connect-from');
+    const toInput = document.getElementById('connect-to');
+    if (!fromInput.value || toInput.value) {
+        fromInput.value = d.name;
+        toInput.value = '';
+        clearConnection();
+        announce(`Connecting from ${d.name}. Pick a second node`);
+    } else {
+        toInput.value = d.name;
+        runConnect();
+    }
+}
+
+// Find and list the shortest paths between the two nodes in the connect form
+function runConnect() {
+    const results = document.getElementById('connect-results');
+    const names = [document.getElementById('connect-from').value, document.getElementById('connect-to').value];
+    const [from, to] = names.map(findNodeByName);
+
+    const missing = names.filter((name, i) => ![from, to][i]);
+    if (missing.length > 0 || from === to) {
+        connection = null;
+        results.innerHTML = `<p class="connect-message">${missing.length > 0 ?
+            missing.map(name => name.trim() ? `No sauce or ingredient called "${escapeHtml(name)}".` : 'Pick two nodes to connect.').join(' ') :
+            'Pick two different nodes.'}</p>`;
+        applyFocus();
+        return;
+    }
+
+    // Paths from or to an ingredient can only go through ingredients
+    const options = {
+        ingredients: document.getElementById('connect-ingredients').checked || from.type === 'ingredient' || to.type === 'ingredient',
+        components: document.getElementById('connect-components').checked
+    };
+    connection = { from, to, paths: findShortestPaths(from, to, options) };
+    renderConnection(options);
+    applyFocus();
+}
+
+// Drop the connection and its highlight
+function clearConnection() {
+    connection = null;
+    document.getElementById('connect-results').innerHTML = '';
+    applyFocus();
+}
+
+// List the connection's paths, one step per line, with each parent link's
+// relationship text
+function renderConnection(options) {
+    const results = document.getElementById('connect-results');
+    const { from, to, paths } = connection;
+    const nodeHtml = node => node.type === 'sauce' ?
+        `<span class="sauce-link" data-id="${escapeHtml(node.id)}">${escapeHtml(node.name)}</span>` :
+        `<em>${escapeHtml(node.name)}</em>`;
+
+    if (paths.length === 0) {
+        const hint = !options.ingredients || !options.components ? ' Try going through shared ingredients or sauce components.' : '';
+        results.innerHTML = `<p class="connect-message">${escapeHtml(from.name)} and ${escapeHtml(to.name)} are not connected.${hint}</p>`;
+        announce(`No connection between ${from.name} and ${to.name}`);
+        return;
+    }
+
+    const stepCount = paths[0].length;
+    results.innerHTML = `
+        <p class="connect-message">
+            ${paths.length} shortest path${paths.length !== 1 ? 's' : ''} of ${stepCount} step${stepCount !== 1 ? 's' : ''}
+        </p>
+        ${paths.map(path => `
+            <ol class="connect-path">
+                <li class="connect-start">${nodeHtml(from)}</li>
+                ${path.map(({ edge }) => `<li>${getConnectionStepHtml(edge, nodeHtml)}</li>`).join('')}
+            </ol>
+        `).join('')}
+    `;
+    announce(`${from.name} connects to ${to.name} in ${stepCount} step${stepCount !== 1 ? 's' : ''}`);
+
+    results.querySelectorAll('.sauce-link').forEach(elem => {
+        elem.addEventListener('click', () => {
+            selectedNode = graph.index.saucesById.get(elem.dataset.id);
+            showSauceDetails(selectedNode);
+        });
+    });
+}
+
+// Describe one step of a path, always from the derived sauce to its source
+function getConnectionStepHtml(edge, nodeHtml) {
+    if (edge.kind === 'parent') {
+        const relationship = edge.link.relationship ? `<div class="connect-detail">${escapeHtml(edge.link.relationship)}</div>` : '';
+        return `${nodeHtml(edge.child)} ${RELATIONSHIP_TYPES[edge.link.relationshipType].label.toLowerCase()} ${nodeHtml(edge.parent)}${relationship}`;
+    }
+    if (edge.kind === 'ingredient') return `${nodeHtml(edge.sauce)} uses ${nodeHtml(edge.ingredient)}`;
+    return `${nodeHtml(edge.sauce)} is made with ${nodeHtml(edge.component)}`;
+}
+
+// Find the shortest paths between two nodes with a breadth-first search over
+// the parent links and, if asked, the ingredient links and sauce components.
+// Each path is a list of steps { node, edge }, the edge leading to the node.
+// Paths through rarer ingredients come first, since salt joins everything
+function findShortestPaths(from, to, options) {
+    const neighbors = getConnectionNeighbors(options);
+
+    // Record every way each node is first reached, level by level
+    const previous = new Map([[from, []]]);
+    let frontier = [from];
+    while (frontier.length > 0 && !previous.has(to)) {
+        const next = new Set();
+        frontier.forEach(node => (neighbors.get(node) || []).forEach(({ node: neighbor, edge }) => {
+            if (previous.has(neighbor) && !next.has(neighbor)) return;
+            if (!previous.has(neighbor)) previous.set(neighbor, []);
+            previous.get(neighbor).push({ node, edge });
+            next.add(neighbor);
+        }));
+        frontier = Array.from(next);
+    }
+    if (!previous.has(to)) return [];
+
+    const paths = [];
+    const walk = (node, steps) => {
+        if (paths.length >= CONNECT_PATH_SEARCH_LIMIT) return;
+        if (node === from) {
+            paths.push(steps);
+            return;
+        }
+        previous.get(node).forEach(step => walk(step.node, [{ node, edge: step.edge }, ...steps]));
+    };
+    walk(to, []);
+
+    const rarity = path => d3.sum(path, step => step.node.type === 'ingredient' ? graph.ingredientWeights.get(step.node.id) || 0 : 0);
+    return paths
+        .sort((a, b) => rarity(b) - rarity(a))
+        .slice(0, CONNECT_PATH_LIMIT);
+}
+
+// List each node's neighbors for the path search, both ways along the links
+// processData() made: { node, edge } with the edge's kind and ends
+function getConnectionNeighbors({ ingredients, components }) {
+    const neighbors = new Map();
+    const connect = (a, b, edge) => {
+        [[a, b], [b, a]].forEach(([node, neighbor]) => {
+            if (!neighbors.has(node)) neighbors.set(node, []);
+            neighbors.get(node).push({ node: neighbor, edge });
+        });
+    };
+
+    graph.allLinks.forEach(link => {
+        const sourceId = link.source.id || link.source;
+        const targetId = link.target.id || link.target;
+        if (link.type === 'parent') {
+            const parent = graph.index.saucesById.get(sourceId);
+            const child = graph.index.saucesById.get(targetId);
+            connect(child, parent, { kind: 'parent', link, child, parent });
+        } else if (link.type === 'ingredient' && ingredients) {
+            const ingredient = graph.index.ingredientsById.get(sourceId);
+            const sauce = graph.index.saucesById.get(targetId);
+            connect(sauce, ingredient, { kind: 'ingredient', link, sauce, ingredient });
+        }
+    });
+
+    if (components) {
+        graph.nodes.forEach(sauce => sauce.componentIds.forEach(id => {
+            const component = graph.index.saucesById.get(id);
+            connect(sauce, component, { kind: 'component', sauce, component });
+        }));
+    }
+    return neighbors;
+}
+
+// The nodes and links on a connection's paths, for the graph highlight
+function getConnectionHighlight({ from, paths }) {
+    const nodes = new Set([from]);
+    const links = new Set();
+    paths.forEach(path => path.forEach(({ node, edge }) => {
+        nodes.add(node);
+        if (edge.link) links.add(edge.link);
+    }));
+    return { nodes, links };
+}
+
+// Work out the statistics dashboard's figures from the processed graph,
+// counting only the sauces from the shown datasets
+function computeGraphStats() {
+    const sauces = graph.nodes.filter(isSourceShown);
+    const counted = new Set(sauces);
+    const byCount = (a, b) => b.value - a.value || a.name.localeCompare(b.name);
+    const getParents = sauce => sauce.parents
+        .map(({ id }) => graph.index.saucesById.get(id))
+        .filter(parent => counted.has(parent) && parent !== sauce);
+
+    // Sauces listing each ingredient, and each country
+    const ingredients = Array.from(graph.index.saucesByIngredient, ([id, users]) => [id, users.filter(user => counted.has(user))])
+        .filter(([, users]) => users.length > 0)
+        .map(([id, users]) => ({
+            ingredient: graph.index.ingredientsById.get(id),
+            name: getIngredientName(id),
+            users,
+            value: users.length
+        }))
+        .sort(byCount);
+    const countries = Array.from(d3.rollup(sauces.flatMap(sauce => sauce.countries), codes => codes.length, code => code),
+        ([code, value]) => ({ code, name: getCountryName(code), value })).sort(byCount);
+
+    // Mother sauces with how many sauces descend from them, themselves included
+    const families = sauces.filter(sauce => sauce.isMotherSauce).map(mother => ({
+        sauce: mother,
+        name: mother.name,
+        value: 1 + sauces.filter(sauce => getAncestorIds(sauce).has(mother.id)).length
+    })).sort(byCount);
+
+    // The neighbors of each sauce along parent links, whichever way they point
+    const neighbors = new Map(sauces.map(sauce => [sauce, new Set()]));
+    sauces.forEach(sauce => getParents(sauce).forEach(parent => {
+        neighbors.get(sauce).add(parent);
+        neighbors.get(parent).add(sauce);
+    }));
+    const betweenness = getBetweenness(sauces, neighbors);
+
+    return {
+        sauceCount: sauces.length,
+        ingredientCount: ingredients.length,
+        parentLinkCount: d3.sum(sauces, sauce => getParents(sauce).length),
+        ingredients: ingredients.slice(0, STATS_LIST_LIMIT),
+        singleUse: ingredients.filter(item => item.value === 1).sort((a, b) => a.name.localeCompare(b.name)),
+        countries,
+        families,
+        chains: getLongestChains(sauces).slice(0, STATS_CHAIN_LIMIT),
+        degree: sauces.map(sauce => ({ sauce, name: sauce.name, value: neighbors.get(sauce).size }))
+            .sort(byCount).slice(0, STATS_LIST_LIMIT),
+        betweenness: sauces.map(sauce => ({ sauce, name: sauce.name, value: betweenness.get(sauce) }))
+            .sort(byCount).slice(0, STATS_LIST_LIMIT),
+        orphans: sauces.filter(isOrphanSauce).sort((a, b) => a.name.localeCompare(b.name))
+    };
+}
+
+// Find the longest chain of parents above each sauce that has no derivatives,
+// longest first, among the given sauces. A loop of parents is cut where it closes
+function getLongestChains(sauces) {
+    const included = new Set(sauces);
+    const chains = new Map();
+    const visiting = new Set();
+    const getChain = sauce => {
+        if (chains.has(sauce)) return chains.get(sauce);
+        visiting.add(sauce);
+        const longest = sauce.parents
+            .map(({ id }) => graph.index.saucesById.get(id))
+            .filter(parent => included.has(parent) && !visiting.has(parent))
+            .map(getChain)
+            .reduce((best, chain) => chain.length > best.length ? chain : best, []);
+        visiting.delete(sauce);
+        chains.set(sauce, [...longest, sauce]);
+        return chains.get(sauce);
+    };
+
+    return sauces
+        .filter(sauce => !getChildSauces(sauce.id).some(child => included.has(child)))
+        .map(getChain)
+        .filter(chain => chain.length > 1)
+        .sort((a, b) => b.length - a.length || a[a.length - 1].name.localeCompare(b[b.length - 1].name));
+}
+
+// Betweenness centrality of each node (Brandes' algorithm): how many shortest
+// paths between other nodes pass through it, shared paths counting in part.
+// Nodes are numbered so the per-source work runs on typed arrays
+function getBetweenness(nodes, neighbors) {
+    const indexOf = new Map(nodes.map((node, i) => [node, i]));
+    const adjacent = nodes.map(node => Array.from(neighbors.get(node), neighbor => indexOf.get(neighbor)));
+    const centrality = new Float64Array(nodes.length);
+    const distance = new Int32Array(nodes.length);
+    const pathCount = new Float64Array(nodes.length);
+    const dependency = new Float64Array(nodes.length);
+    const queue = new Int32Array(nodes.length);
+
+    for (let source = 0; source < nodes.length; source++) {
+        // Count the shortest paths from the source to every node, breadth first
+        distance.fill(-1);
+        pathCount.fill(0);
+        dependency.fill(0);
+        distance[source] = 0;
+        pathCount[source] = 1;
+        queue[0] = source;
+        let queued = 1;
+        for (let i = 0; i < queued; i++) {
+            const node = queue[i];
+            adjacent[node].forEach(next => {
+                if (distance[next] < 0) {
+                    distance[next] = distance[node] + 1;
+                    queue[queued++] = next;
+                }
+                if (distance[next] === distance[node] + 1) pathCount[next] += pathCount[node];
+            });
+        }
+
+        // Then hand each node's share of them back towards the source, farthest first
+        for (let i = queued - 1; i > 0; i--) {
+            const node = queue[i];
+            const share = (1 + dependency[node]) / pathCount[node];
+            adjacent[node].forEach(previous => {
+                if (distance[previous] === distance[node] - 1) dependency[previous] += pathCount[previous] * share;
+            });
+            centrality[node] += dependency[node];
+        }
+    }
+
+    // Links go both ways, so every path was counted from both of its ends
+    return new Map(nodes.map((node, i) => [node, centrality[i] / 2]));
+}
+
+// Show the statistics dashboard. Every bar and list entry applies the
+// matching filter to the graph and switches back to it
+function updateStatsView() {
+    const view = document.getElementById('stats-view');
+    if (!graph) return;
+    if (!graph.index.stats) graph.index.stats = computeGraphStats();
+    const stats = graph.index.stats;
+
+    // Buttons refer to the filter they apply by its index in this list
+    const filters = [];
+    const addFilter = filter => filters.push(filter) - 1;
+    const barChart = rows => {
+        const max = d3.max(rows, row => row.value) || 1;
+        return rows.length > 0 ? `
+            <ol class="stats-chart">
+                ${rows.map(row => `
+                    <li>
+                        <button class="stats-item" data-filter="${addFilter(row.filter)}">
+                            <span class="stats-label">${escapeHtml(row.label)}</span>
+                            <span class="stats-bar"><span style="width: ${row.value / max * 100}%"></span></span>
+                            <span class="stats-value">${row.valueText || row.value}</span>
+                        </button>
+                    </li>
+                `).join('')}
+            </ol>
+        ` : '<p class="stats-empty">None</p>';
+    };
+    const list = rows => rows.length > 0 ? `
+        <ul class="stats-list">
+            ${rows.map(row => `
+                <li>
+                    <button class="stats-item" data-filter="${addFilter(row.filter)}">
+                        ${escapeHtml(row.label)}${row.note ? ` <span class="stats-note">${escapeHtml(row.note)}</span>` : ''}
+                    </button>
+                </li>
+            `).join('')}
+        </ul>
+    ` : '<p class="stats-empty">None</p>';
+
+    const central = statsCentrality === 'degree' ? stats.degree : stats.betweenness;
+    view.innerHTML = `
+        <p class="stats-summary">
+            ${stats.sauceCount} sauces, ${stats.ingredientCount} ingredients, ${stats.parentLinkCount} parent links
+            and ${stats.countries.length} countries
+        </p>
+        <div class="stats-grid">
+            <section>
+                <h3>Most-used ingredients</h3>
+                ${barChart(stats.ingredients.map(item => ({
+                    label: item.name,
+                    value: item.value,
+                    filter: { ingredient: item.ingredient.id }
+                })))}
+            </section>
+            <section>
+                <h3>Sauces per country</h3>
+                ${barChart(stats.countries.map(item => ({
+                    label: `${getCountryFlag(item.code)} ${item.name}`,
+                    value: item.value,
+                    filter: { search: `country:${item.code}` }
+                })))}
+            </section>
+            <section>
+                <h3>Sauces per mother-sauce family</h3>
+                ${barChart(stats.families.map(item => ({
+                    label: item.name,
+                    value: item.value,
+                    filter: { search: `family:${item.sauce.id}`, sauce: item.sauce }
+                })))}
+            </section>
+            <section>
+                <h3>
+                    Most central sauces
+                    <select id="stats-centrality" aria-label="Rank central sauces by">
+                        <option value="betweenness" ${statsCentrality === 'betweenness' ? 'selected' : ''}>by betweenness</option>
+                        <option value="degree" ${statsCentrality === 'degree' ? 'selected' : ''}>by links</option>
+                    </select>
+                </h3>
+                ${barChart(central.filter(item => item.value > 0).map(item => ({
+                    label: item.name,
+                    value: item.value,
+                    valueText: statsCentrality === 'degree' ? String(item.value) : item.value.toFixed(1),
+                    filter: { sauce: item.sauce, focus: 1 }
+                })))}
+            </section>
+            <section class="stats-chains">
+                <h3>Deepest lineage chains</h3>
+                ${barChart(stats.chains.map(chain => ({
+                    label: chain.map(sauce => sauce.name).join(' → '),
+                    value: chain.length,
+                    filter: { search: `lineage:${chain[chain.length - 1].id}`, sauce: chain[chain.length - 1] }
+                })))}
+            </section>
+            <section>
+                <h3>Orphans (${stats.orphans.length})</h3>
+                <p class="stats-note">Sauces with no parent and no derivatives</p>
+                ${list(stats.orphans.map(sauce => ({
+                    label: sauce.name,
+                    filter: { search: 'orphan:true', sauce }
+                })))}
+            </section>
+            <section>
+                <h3>Ingredients used only once (${stats.singleUse.length})</h3>
+                ${list(stats.singleUse.map(item => ({
+                    label: item.name,
+                    note: `in ${item.users[0].name}`,
+                    filter: { ingredient: item.ingredient.id }
+                })))}
+            </section>
+        </div>
+    `;
+
+    view.querySelectorAll('.stats-item').forEach(button => {
+        button.addEventListener('click', () => applyStatsFilter(filters[button.dataset.filter]));
+    });
+    document.getElementById('stats-centrality').addEventListener('change', (e) => {
+        statsCentrality = e.target.value;
+        updateStatsView();
+    });
+}
+
+// Leave the dashboard for the graph, filtered by a search or an ingredient,
+// with a sauce selected if one is given. `focus` turns on focus mode at that
+// depth, when it is off, to show the sauce's parents and derivatives
+function applyStatsFilter({ search = '', ingredient = null, sauce = null, focus = 0 }) {
+    statsMode = false;
+    document.getElementById('stats-mode').checked = false;
+    document.getElementById('stats-view').hidden = true;
+    document.getElementById('graph-container').hidden = outlineMode;
+
+    searchTerm = search;
+    document.getElementById('search').value = searchTerm;
+    selectedIngredients = new Map(ingredient ? [[ingredient, 'require']] : []);
+    selectedNode = sauce;
+    if (!sauce) document.getElementById('sauce-details').innerHTML = '<p>Select a sauce to see details</p>';
+    if (focus > 0 && focusDepth === 0) {
+        focusDepth = focus;
+        document.getElementById('focus-depth').value = String(focus);
+    }
+    updateVisualization();
+    applyFocus();
+}
+
+// Show the shown sauces as a nested list that follows their lineage. A sauce
+// with several shown parents appears under each; its ingredients are listed with it
+function updateOutlineView(nodes, links) {
+    const outline = document.getElementById('outline-view');
+    const sauces = nodes.filter(n => n.type === 'sauce').sort((a, b) => a.name.localeCompare(b.name));
+    const saucesById = new Map(sauces.map(sauce => [sauce.id, sauce]));
+    const linkEnd = end => end.id || end;
+    const children = new Map(); // Parent id -> [{ link, sauce }]
+    const hasShownParent = new Set();
+    links.filter(link => link.type === 'parent').forEach(link => {
+        const parentId = linkEnd(link.source);
+        const sauce = saucesById.get(linkEnd(link.target));
+        if (!sauce || !saucesById.has(parentId)) return;
+        if (!children.has(parentId)) children.set(parentId, []);
+        children.get(parentId).push({ link, sauce });
+        hasShownParent.add(sauce.id);
+    });
+    const childrenOf = id => (children.get(id) || []).sort((a, b) => a.sauce.name.localeCompare(b.sauce.name));
+    const roots = sauces.filter(sauce => !hasShownParent.has(sauce.id));
+
+    // Sauces only reachable through a loop of parents become roots themselves
+    const reached = new Set();
+    const reach = sauce => {
+        if (reached.has(sauce.id)) return;
+        reached.add(sauce.id);
+        childrenOf(sauce.id).forEach(child => reach(child.sauce));
+    };
+    roots.forEach(reach);
+    sauces.forEach(sauce => {
+        if (reached.has(sauce.id)) return;
+        roots.push(sauce);
+        reach(sauce);
+    });
+
+    const itemHtml = (sauce, link, path) => {
+        const derivatives = path.has(sauce.id) ? [] : childrenOf(sauce.id);
+        const nextPath = new Set([...path, sauce.id]);
+        return `
+            <li>
+                <button class="outline-sauce" data-id="${escapeHtml(sauce.id)}">${escapeHtml(sauce.name)}</button>
+                ${sauce.countries.length > 0 ? `<span class="outline-info">${sauce.countries.map(getCountryName).join(', ')}</span>` : ''}
+                ${link ? `<span class="outline-info">${RELATIONSHIP_TYPES[link.relationshipType].label.toLowerCase()} the sauce above${link.relationship ? `: ${escapeHtml(link.relationship)}` : ''}</span>` : ''}
+                ${path.has(sauce.id) ? '<span class="outline-info">(loops back)</span>' : ''}
+                ${ingredientMode && sauce.ingredients ? `<div class="outline-ingredients">Ingredients: ${escapeHtml(sauce.ingredients.join(', '))}</div>` : ''}
+                ${derivatives.length > 0 ? `
+                    <ul aria-label="Derivatives of ${escapeHtml(sauce.name)}">
+                        ${derivatives.map(child => itemHtml(child.sauce, child.link, nextPath)).join('')}
+                    </ul>
+                ` : ''}
+            </li>
+        `;
+    };
+
+    outline.innerHTML = `
+        <h2 id="outline-title">Sauce Outline</h2>
+        <p>${sauces.length} sauce${sauces.length !== 1 ? 's' : ''} shown, grouped under their parent sauces.</p>
+        <ul aria-labelledby="outline-title">
+            ${roots.map(sauce => itemHtml(sauce, null, new Set())).join('')}
+        </ul>
+    `;
+
+    outline.querySelectorAll('.outline-sauce').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const sauceNode = graph.index.saucesById.get(btn.dataset.id);
+            if (sauceNode) {
+                selectedNode = sauceNode;
+                showSauceDetails(sauceNode);
+            }
+        });
+    });
+}
+
+// Show a legend of the ingredient categories currently on screen
+function updateCategoryLegend(nodes) {
+    let legend = document.getElementById('category-legend');
+    const categories = ingredientMode ?
+        Object.keys(INGREDIENT_CATEGORIES).filter(category =>
+            nodes.some(n => n.type === 'ingredient' && n.category === category)
+        ) :
+        [];
+
+    if (categories.length === 0) {
+        if (legend) legend.remove();
+        return;
+    }
+
+    if (!legend) {
+        legend = document.createElement('div');
+        legend.id = 'category-legend';
+        document.getElementById('graph-container').appendChild(legend);
+    }
+
+    legend.innerHTML = categories.map(category => `
+        <span class="category-legend-item">
+            <span class="category-swatch" style="background: ${INGREDIENT_CATEGORIES[category].color}"></span>
+            ${INGREDIENT_CATEGORIES[category].label}
+        </span>
+    `).join('');
+}
+
+// Read the saved pantry from localStorage
+function loadPantry() {
     try {
-        // Use Wikipedia API to fetch page information
-        const apiUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${pageTitle}`;
-        const response = await fetch(apiUrl);
-        const data = await response.json();
-
-        // Get thumbnail or main image
-        let imageUrl = null;
-        if (data.thumbnail) {
-            imageUrl = data.thumbnail.source;
+        const saved = JSON.parse(localStorage.getItem('sauce-explorer-pantry'));
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+// Save the pantry to localStorage
+function savePantry() {
+    try {
+        localStorage.setItem('sauce-explorer-pantry', JSON.stringify(Array.from(pantry)));
+    } catch (error) {
+        console.error('Error saving pantry:', error);
+    }
+}
+
+// Fill the pantry input's autocomplete with every known ingredient
+function updatePantryOptions() {
+    const options = graph.allNodes
+        .filter(n => n.type === 'ingredient')
+        .map(n => n.name)
+        .sort((a, b) => a.localeCompare(b));
+    document.getElementById('pantry-ingredient-options').innerHTML =
+        options.map(name => `<option value="${escapeHtml(name)}">`).join('');
+}
+
+// Add an ingredient (by name or alias) to the pantry
+function addToPantry(name) {
+    if (!name || !name.trim()) return;
+    const resolved = resolveIngredient(name.trim());
+    if (!graph.index.ingredientsById.has(resolved.id)) return;
+    pantry.add(resolved.id);
+    savePantry();
+    updateVisualization();
+}
+
+// Remove an ingredient from the pantry
+function removeFromPantry(ingredientId) {
+    pantry.delete(ingredientId);
+    savePantry();
+    updateVisualization();
+}
+
+// Work out how much of each sauce's recipe the pantry covers. A sauce
+// component counts as covered when the pantry can make all of it
+function computePantryCoverage() {
+    const coverage = new Map();
+    const visiting = new Set();
+
+    const visit = sauce => {
+        if (coverage.has(sauce.id)) return coverage.get(sauce.id);
+        // A component that loops back to a sauce being worked out cannot be made
+        if (visiting.has(sauce.id)) return null;
+        visiting.add(sauce.id);
+
+        const missing = [];
+        let covered = 0;
+        sauce.ingredientIds.forEach(id => {
+            if (pantry.has(id)) {
+                covered++;
+            } else {
+                missing.push({ id, name: getIngredientName(id), type: 'ingredient' });
+            }
+        });
+        sauce.componentIds.forEach(id => {
+            const component = graph.index.saucesById.get(id);
+            const result = component ? visit(component) : null;
+            if (result && result.coverage === 1) {
+                covered++;
+            } else {
+                missing.push({
+                    id,
+                    name: component ? component.name : id,
+                    type: 'sauce',
+                    missing: result ? result.missing : []
+                });
+            }
+        });
+
+        const total = sauce.ingredientIds.length + sauce.componentIds.length;
+        const result = { coverage: total > 0 ? covered / total : 0, covered, total, missing };
+        visiting.delete(sauce.id);
+        coverage.set(sauce.id, result);
+        return result;
+    };
+
+    graph.nodes.forEach(visit);
+    return coverage;
+}
+
+// Show the pantry contents and the sauces ranked by coverage
+function updatePantryPanel() {
+    const items = Array.from(pantry)
+        .map(id => ({ id, name: getIngredientName(id) }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+
+    const itemsContainer = document.getElementById('pantry-items');
+    itemsContainer.innerHTML = items.length > 0 ?
+        items.map(item => `
+            <span class="filter-tag pantry-item">
+                ${escapeHtml(item.name)}
+                <button class="pantry-remove" data-id="${escapeHtml(item.id)}" title="Remove from pantry">&times;</button>
+            </span>
+        `).join('') :
+        '<p>Add the ingredients you have on hand.</p>';
+
+    itemsContainer.querySelectorAll('.pantry-remove').forEach(btn => {
+        btn.addEventListener('click', () => removeFromPantry(btn.dataset.id));
+    });
+
+    // Closest sauces first: highest coverage, then fewest missing ingredients
+    const ranked = graph.nodes
+        .filter(sauce => pantryCoverage.get(sauce.id).covered > 0)
+        .sort((a, b) => {
+            const ca = pantryCoverage.get(a.id);
+            const cb = pantryCoverage.get(b.id);
+            return cb.coverage - ca.coverage ||
+                ca.missing.length - cb.missing.length ||
+                a.name.localeCompare(b.name);
+        });
+
+    const resultsContainer = document.getElementById('pantry-results');
+    resultsContainer.innerHTML = ranked.map(sauce => {
+        const c = pantryCoverage.get(sauce.id);
+        return `
+            <li>
+                <span class="sauce-link" data-id="${escapeHtml(sauce.id)}">${escapeHtml(sauce.name)}</span>
+                <span class="pantry-score">${Math.round(c.coverage * 100)}% (${c.covered}/${c.total})</span>
+                ${c.missing.length > 0 ? `
+                    <div class="pantry-missing">Missing: ${c.missing.map(m =>
+                        m.type === 'sauce' && m.missing.length > 0 ?
+                            `${escapeHtml(m.name)} (needs ${escapeHtml(m.missing.map(n => n.name).join(', '))})` :
+                            escapeHtml(m.name)
+                    ).join(', ')}</div>
+                ` : '<div class="pantry-missing">You have everything</div>'}
+            </li>
+        `;
+    }).join('');
+
+    resultsContainer.querySelectorAll('.sauce-link').forEach(elem => {
+        elem.addEventListener('click', () => {
+            const sauceNode = graph.index.saucesById.get(elem.dataset.id);
+            if (sauceNode) {
+                selectedNode = sauceNode;
+                showSauceDetails(sauceNode);
+            }
+        });
+    });
+}
+
+// Read the saved sauce drafts from localStorage
+function loadDrafts() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('sauce-explorer-drafts'));
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Save the sauce drafts to localStorage
+function saveDrafts() {
+    try {
+        localStorage.setItem('sauce-explorer-drafts', JSON.stringify(sauceDrafts));
+    } catch (error) {
+        console.error('Error saving drafts:', error);
+    }
+}
+
+// Copy a dataset with the drafts applied: edited sauces replace the
+// originals in place and new sauces are added at the end
+function applyDrafts(data, drafts = sauceDrafts) {
+    const merged = JSON.parse(JSON.stringify(data));
+    Object.values(drafts).forEach(draft => {
+        const index = merged.nodes.findIndex(node => node.id === draft.id);
+        if (index >= 0) {
+            merged.nodes[index] = JSON.parse(JSON.stringify(draft));
+        } else {
+            merged.nodes.push(JSON.parse(JSON.stringify(draft)));
+        }
+    });
+    return merged;
+}
+
+// Rebuild the graph after the drafts or datasets change, keeping node positions and the selection
+function rebuildGraph() {
+    const positions = new Map(graph.allNodes.map(node => [node.id, { x: node.x, y: node.y }]));
+    const selectedId = selectedNode && selectedNode.id;
+
+    buildGraph();
+    graph.allNodes.forEach(node => Object.assign(node, positions.get(node.id)));
+    updatePantryOptions();
+    updateConnectOptions();
+    updateEditorOptions();
+    updateDraftList();
+    updateSourceLegend();
+
+    selectedNode = getNodeById(selectedId) || null;
+    comparedSauces = comparedSauces.map(sauce => graph.index.saucesById.get(sauce.id)).filter(Boolean);
+    updateCompareView();
+    if (statsMode) updateStatsView();
+    updateVisualization();
+
+    // Look the connection up again among the new nodes
+    if (connection) runConnect();
+}
+
+// Fill the editor's autocomplete with every known ingredient and sauce
+function updateEditorOptions() {
+    const ingredientNames = [
+        ...graph.allNodes.filter(n => n.type === 'ingredient').map(n => n.name),
+        ...graph.nodes.map(n => n.name)
+    ].sort((a, b) => a.localeCompare(b));
+    document.getElementById('editor-ingredient-options').innerHTML =
+        ingredientNames.map(name => `<option value="${escapeHtml(name)}">`).join('');
+
+    document.getElementById('editor-sauce-options').innerHTML = graph.nodes
+        .slice()
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(sauce => `<option value="${escapeHtml(sauce.id)}">${escapeHtml(sauce.name)}</option>`)
+        .join('');
+}
+
+// List the drafted sauces with buttons to edit or discard each
+function updateDraftList() {
+    const container = document.getElementById('draft-list');
+    const drafts = Object.values(sauceDrafts).sort((a, b) => a.name.localeCompare(b.name));
+
+    container.innerHTML = drafts.length > 0 ? `
+        <p>Local changes (kept in this browser until discarded):</p>
+        <ul>
+            ${drafts.map(draft => `
+                <li>
+                    <span class="sauce-link" data-id="${escapeHtml(draft.id)}">${escapeHtml(draft.name)}</span>
+                    <span class="draft-status">${baseData && baseData.nodes.some(n => n.id === draft.id) ? 'edited' : 'new'}</span>
+                    <button class="draft-edit" data-id="${escapeHtml(draft.id)}">Edit</button>
+                    <button class="draft-discard" data-id="${escapeHtml(draft.id)}">Discard</button>
+                </li>
+            `).join('')}
+        </ul>
+    ` : '<p>No local changes yet.</p>';
+
+    document.getElementById('download-merged').disabled = drafts.length === 0;
+    document.getElementById('download-diff').disabled = drafts.length === 0;
+
+    container.querySelectorAll('.draft-edit').forEach(btn => {
+        btn.addEventListener('click', () => openSauceEditor(btn.dataset.id));
+    });
+    container.querySelectorAll('.draft-discard').forEach(btn => {
+        btn.addEventListener('click', () => {
+            delete sauceDrafts[btn.dataset.id];
+            saveDrafts();
+            rebuildGraph();
+        });
+    });
+    container.querySelectorAll('.sauce-link').forEach(elem => {
+        elem.addEventListener('click', () => {
+            const sauceNode = graph.index.saucesById.get(elem.dataset.id);
+            if (sauceNode) {
+                selectedNode = sauceNode;
+                showSauceDetails(sauceNode);
+            }
+        });
+    });
+}
+
+// Build one ingredient row of the sauce editor
+function getEditorIngredientRowHtml(ingredient = '') {
+    return `
+        <div class="editor-row">
+            <input type="text" name="ingredient" list="editor-ingredient-options" value="${escapeHtml(ingredient)}">
+            <button type="button" data-action="remove-row" title="Remove">&times;</button>
+        </div>
+    `;
+}
+
+// Build one parent row of the sauce editor
+function getEditorParentRowHtml(parent = { id: '', type: DEFAULT_RELATIONSHIP_TYPE, description: '' }) {
+    return `
+        <div class="editor-row editor-parent">
+            <input type="text" name="parent-id" list="editor-sauce-options" placeholder="Parent id" value="${escapeHtml(parent.id)}">
+            <select name="parent-type">
+                ${Object.entries(RELATIONSHIP_TYPES).map(([type, info]) => `
+                    <option value="${type}" ${type === parent.type ? 'selected' : ''}>${info.label}</option>
+                `).join('')}
+            </select>
+            <input type="text" name="parent-description" placeholder="Relationship" value="${escapeHtml(parent.description)}">
+            <button type="button" data-action="remove-row" title="Remove">&times;</button>
+        </div>
+    `;
+}
+
+// Open the form for a sauce (its draft if there is one), or for a new sauce when `sauceId` is null
+function openSauceEditor(sauceId) {
+    const original = sauceId ?
+        sauceDrafts[sauceId] || baseData.nodes.find(node => node.id === sauceId) :
+        null;
+    const entry = original || { id: '', name: '', type: 'sauce', ingredients: [] };
+    const countries = getCountryCodes(entry);
+    const parents = getParentEntries(entry);
+
+    document.getElementById('editor-panel').hidden = false;
+    const form = document.getElementById('sauce-editor');
+    form.hidden = false;
+    form.innerHTML = `
+        <h4>${original ? `Edit ${escapeHtml(entry.name)}` : 'New Sauce'}</h4>
+        <label>Id <input type="text" name="id" value="${escapeHtml(entry.id)}" ${original ? 'readonly' : 'required'}></label>
+        <label>Name <input type="text" name="name" value="${escapeHtml(entry.name)}" required></label>
+        <label>Country <input type="text" name="country" value="${escapeHtml(countries.join(', '))}" placeholder="FR, or FR, ES for several"></label>
+        <label class="editor-checkbox"><input type="checkbox" name="countryDisputed" ${entry.countryDisputed ? 'checked' : ''}> The countries dispute the origin</label>
+        <label>Description <textarea name="description" rows="3">${escapeHtml(entry.description)}</textarea></label>
+        <label>Wikipedia URL <input type="url" name="wikipedia" value="${escapeHtml(entry.wikipedia)}"></label>
+        <label class="editor-checkbox"><input type="checkbox" name="isMotherSauce" ${entry.isMotherSauce ? 'checked' : ''}> Mother sauce</label>
+        <fieldset>
+            <legend>Ingredients</legend>
+            <div class="editor-ingredients">
+                ${(entry.ingredients || []).map(getEditorIngredientRowHtml).join('')}
+            </div>
+            <button type="button" data-action="add-ingredient">Add Ingredient</button>
+        </fieldset>
+        <fieldset>
+            <legend>Parents</legend>
+            <div class="editor-parents">
+                ${parents.map(getEditorParentRowHtml).join('')}
+            </div>
+            <button type="button" data-action="add-parent">Add Parent</button>
+        </fieldset>
+        <div class="editor-problems"></div>
+        <button type="submit" class="btn">Save Draft</button>
+        <button type="button" class="btn" data-action="cancel">Cancel</button>
+    `;
+
+    form.onclick = (e) => {
+        const action = e.target.dataset.action;
+        if (action === 'add-ingredient') {
+            form.querySelector('.editor-ingredients').insertAdjacentHTML('beforeend', getEditorIngredientRowHtml());
+            form.querySelector('.editor-ingredients .editor-row:last-child input').focus();
+        } else if (action === 'add-parent') {
+            form.querySelector('.editor-parents').insertAdjacentHTML('beforeend', getEditorParentRowHtml());
+        } else if (action === 'remove-row') {
+            e.target.closest('.editor-row').remove();
+        } else if (action === 'cancel') {
+            closeSauceEditor();
+        }
+    };
+    form.onsubmit = (e) => {
+        e.preventDefault();
+        saveSauceDraft(readSauceEditor(form, original), form, !original);
+    };
+    form.querySelector(original ? '[name="name"]' : '[name="id"]').focus();
+}
+
+// Hide and clear the sauce editor form
+function closeSauceEditor() {
+    const form = document.getElementById('sauce-editor');
+    form.hidden = true;
+    form.innerHTML = '';
+}
+
+// Turn the editor form into a sauce entry. Fields of the original entry that
+// the form does not cover are kept, and keys keep their original order.
+// Parents keep the form the original used: the legacy `parent` field while
+// it still fits, and unchanged `parents` entries as they were written
+function readSauceEditor(form, original) {
+    const entry = original ? JSON.parse(JSON.stringify(original)) : {};
+    const value = name => form.elements[name].value.trim();
+    const set = (key, newValue) => {
+        if (newValue === undefined || newValue === '') {
+            delete entry[key];
+        } else {
+            entry[key] = newValue;
         }
+    };
+
+    const countries = value('country').split(/[\s,;]+/).filter(Boolean).map(code => code.toUpperCase());
+    const ingredients = Array.from(form.querySelectorAll('[name="ingredient"]'))
+        .map(input => input.value.trim())
+        .filter(Boolean);
+    const parents = Array.from(form.querySelectorAll('.editor-parent'))
+        .map(row => ({
+            id: row.querySelector('[name="parent-id"]').value.trim(),
+            type: row.querySelector('[name="parent-type"]').value,
+            description: row.querySelector('[name="parent-description"]').value.trim()
+        }))
+        .filter(parent => parent.id);
+    const isLegacyParent = Boolean(original && original.parent && !Array.isArray(original.parents)) &&
+        parents.length === 1 && parents[0].type === DEFAULT_RELATIONSHIP_TYPE;
+    const originalParents = original && Array.isArray(original.parents) ? original.parents : [];
+    const writeParent = parent => originalParents.find(written => {
+        const [known] = getParentEntries({ parents: [written] });
+        return known && known.id === parent.id && known.type === parent.type && known.description === parent.description;
+    }) || (parent.description ? parent : { id: parent.id, type: parent.type });
+
+    set('id', value('id'));
+    set('name', value('name'));
+    set('type', 'sauce');
+    set('country', countries.length > 1 ? countries : countries[0]);
+    set('countryDisputed', countries.length > 1 && form.elements.countryDisputed.checked ? true : undefined);
+    set('description', value('description'));
+    set('wikipedia', value('wikipedia'));
+    set('ingredients', ingredients);
+    set('parent', isLegacyParent ? parents[0].id : undefined);
+    set('relationshipToParent', isLegacyParent ? parents[0].description : undefined);
+    set('parents', !isLegacyParent && parents.length > 0 ? parents.map(writeParent) : undefined);
+    set('isMotherSauce', form.elements.isMotherSauce.checked ? true : undefined);
+    return entry;
+}
+
+// Check a sauce entry against the rest of the data and keep it as a draft.
+// Errors about this sauce block saving; warnings are shown but do not
+function saveSauceDraft(entry, form, isNew) {
+    const original = baseData.nodes.find(node => node.id === entry.id);
+    const drafts = { ...sauceDrafts, [entry.id]: entry };
+    const report = validateDataset(applyDrafts(baseData, drafts));
+    const problems = [
+        ...report.errors.filter(issue => issue.nodeId === entry.id).map(issue => ({ ...issue, level: 'error' })),
+        ...report.warnings.filter(issue => issue.nodeId === entry.id).map(issue => ({ ...issue, level: 'warning' }))
+    ];
+    if (isNew && graph.nodes.some(node => node.id === entry.id)) {
+        problems.unshift({ level: 'error', message: `The id "${entry.id}" is already used by another sauce.` });
+    }
+
+    const problemsContainer = form.querySelector('.editor-problems');
+    problemsContainer.innerHTML = problems.length > 0 ? `
+        <ul class="problems-list">
+            ${problems.map(issue => `
+                <li class="problem ${issue.level}"><span class="problem-level">${issue.level}</span> ${escapeHtml(issue.message)}</li>
+            `).join('')}
+        </ul>
+    ` : '';
+    if (problems.some(issue => issue.level === 'error')) return;
 
-        // Cache the result
-        imageCache[wikipediaUrl] = imageUrl;
-        return imageUrl;
+    // A draft that matches data.json again is no change at all
+    if (original && JSON.stringify(original) === JSON.stringify(entry)) {
+        delete sauceDrafts[entry.id];
+    } else {
+        sauceDrafts[entry.id] = entry;
+    }
+    saveDrafts();
+    if (problems.length === 0) closeSauceEditor();
+
+    selectedNode = { id: entry.id };
+    rebuildGraph();
+}
+
+// Describe the drafts as a readable list of changes against data.json
+function getDraftsDiff() {
+    const format = value => JSON.stringify(value);
+    const sections = Object.values(sauceDrafts)
+        .sort((a, b) => a.id.localeCompare(b.id))
+        .map(draft => {
+            const original = baseData.nodes.find(node => node.id === draft.id);
+            if (!original) {
+                const json = JSON.stringify(draft, null, 4).split('\n').map(line => `    ${line}`).join('\n');
+                return `+ New sauce: ${draft.name} (${draft.id})\n${json}`;
+            }
+
+            const lines = [];
+            const keys = [...Object.keys(original), ...Object.keys(draft).filter(key => !(key in original))];
+            keys.forEach(key => {
+                if (format(original[key]) === format(draft[key])) return;
+                if (!(key in draft)) {
+                    lines.push(`    - ${key}: ${format(original[key])}`);
+                } else if (!(key in original)) {
+                    lines.push(`    + ${key}: ${format(draft[key])}`);
+                } else if (key === 'ingredients' && Array.isArray(original[key]) && Array.isArray(draft[key])) {
+                    const count = lines.length;
+                    original[key].filter(item => !draft[key].includes(item))
+                        .forEach(item => lines.push(`    - ingredient: ${format(item)}`));
+                    draft[key].filter(item => !original[key].includes(item))
+                        .forEach(item => lines.push(`    + ingredient: ${format(item)}`));
+                    if (lines.length === count) lines.push('    ~ ingredients reordered');
+                } else {
+                    lines.push(`    ~ ${key}: ${format(original[key])} -> ${format(draft[key])}`);
+                }
+            });
+            return `~ Changed sauce: ${draft.name} (${draft.id})\n${lines.join('\n')}`;
+        });
+
+    return `Changes to data.json (${sections.length} sauce${sections.length !== 1 ? 's' : ''})\n\n${sections.join('\n\n')}\n`;
+}
+
+// Reset filters and search
+function resetFilters() {
+    searchTerm = '';
+    document.getElementById('search').value = '';
+    selectedIngredients.clear();
+    dietaryFilters.clear();
+    updateDietaryFilter();
+    updateVisualization();
+}
+
+// Drag functionality for nodes
+function drag(simulation) {
+    function dragstarted(event) {
+        if (!simulation) return;
+        if (!event.active) simulation.alphaTarget(0.3).restart();
+        event.subject.fx = event.subject.x;
+        event.subject.fy = event.subject.y;
+    }
+
+    function dragged(event) {
+        event.subject.fx = event.x;
+        event.subject.fy = event.y;
+    }
+
+    function dragended(event) {
+        if (!simulation) return;
+        if (!event.active) simulation.alphaTarget(0);
+        // Genealogy layouts keep a dragged node where it was dropped
+        if (layoutMode !== 'force') return;
+        event.subject.fx = null;
+        event.subject.fy = null;
+    }
+
+    return d3.drag()
+        .on('start', dragstarted)
+        .on('drag', dragged)
+        .on('end', dragended);
+}
+
+// Reset view to fit the entire graph
+function resetView() {
+    const g = svg.select('g');
+
+    // Reset zoom
+    svg.transition()
+        .duration(750)
+        .call(zoomHandler.transform, d3.zoomIdentity.scale(0.8).translate(width / 2, height / 2));
+
+    // Reset filters
+    resetFilters();
+
+    // Genealogy layouts can reach far outside the default view, so fit them instead
+    if (layoutTargets) zoomToFit(Array.from(layoutTargets.values()));
+
+    // Clear sauce details
+    selectedNode = null;
+    document.getElementById('sauce-details').innerHTML = '<p>Select a sauce to see details</p>';
+    applyFocus();
+    updateUrlState();
+}
+
+// Export the current view as an image or the shown sauces as data
+function exportView(format) {
+    if (!graph) return;
+
+    if (format === 'svg') {
+        downloadFile('sauces.svg', new Blob([buildExportSvg()], { type: 'image/svg+xml' }));
+    } else if (format === 'png') {
+        renderSvgToPng(buildExportSvg())
+            .then(blob => downloadFile('sauces.png', blob))
+            .catch(error => console.error('Error exporting PNG:', error));
+    } else if (format === 'json') {
+        const dataset = getExportDataset(getFilteredGraph().nodes);
+        downloadFile('sauces.json', new Blob([JSON.stringify(dataset, null, 4)], { type: 'application/json' }));
+    } else if (format === 'csv') {
+        downloadFile('sauces.csv', new Blob([getExportCsv(getFilteredGraph().nodes)], { type: 'text/csv' }));
+    }
+}
+
+// Offer a blob to the user as a file download
+function downloadFile(filename, blob) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Copy the on-screen SVG into a standalone document: computed styles are
+// inlined, and a white background and a legend of what is shown are added
+function buildExportSvg() {
+    // The canvas renderer leaves the SVG empty, so draw the graph into it for
+    // the copy. Similarity links come with id ends, so point them at the nodes
+    if (canvasMode) {
+        const { nodes, links } = getFilteredGraph();
+        const nodesById = new Map(nodes.map(node => [node.id, node]));
+        const resolve = end => typeof end === 'object' ? end : nodesById.get(end);
+        const drawnLinks = links
+            .map(link => ({ ...link, source: resolve(link.source), target: resolve(link.target) }))
+            .filter(link => link.source && link.target);
+        renderSvgGraph(nodes, drawnLinks)();
+    }
+
+    const source = svg.node();
+    const clone = source.cloneNode(true);
+    clone.setAttribute('width', width);
+    clone.setAttribute('height', height);
+    clone.setAttribute('viewBox', `0 0 ${width} ${height}`);
+
+    const sourceElements = source.querySelectorAll('*');
+    clone.querySelectorAll('*').forEach((element, i) => {
+        const computed = getComputedStyle(sourceElements[i]);
+        const style = EXPORT_STYLE_PROPERTIES
+            .map(property => [property, computed.getPropertyValue(property)])
+            .filter(([, value]) => value)
+            .map(([property, value]) => `${property}: ${value}`)
+            .join('; ');
+        if (style) element.setAttribute('style', style);
+        element.removeAttribute('class');
+    });
+    if (canvasMode) svg.select('g').selectAll('.node, .link').remove();
+
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', width);
+    background.setAttribute('height', height);
+    background.setAttribute('fill', '#fff');
+    clone.insertBefore(background, clone.firstChild);
+
+    clone.insertAdjacentHTML('beforeend', getExportLegendSvg(getFilteredGraph()));
+
+    return new XMLSerializer().serializeToString(clone);
+}
+
+// Build the exported image's legend: sauce colors by country, the link
+// types and the ingredient categories, limited to what is on screen
+function getExportLegendSvg({ nodes, links }) {
+    const items = [];
+
+    const sauceColors = new Map();
+    nodes.filter(node => node.type === 'sauce').forEach(sauce => {
+        const code = COUNTRY_COLORS[sauce.countries[0]] ? sauce.countries[0] : null;
+        const color = code ? COUNTRY_COLORS[code] : DEFAULT_SAUCE_COLOR;
+        if (!sauceColors.has(color)) sauceColors.set(color, []);
+        const label = code ? `${getCountryFlag(code)} ${getCountryName(code)}` : 'Other countries';
+        if (!sauceColors.get(color).includes(label)) sauceColors.get(color).push(label);
+    });
+    sauceColors.forEach((labels, color) => items.push({ shape: 'circle', color, label: labels.join(', ') }));
+
+    Object.keys(RELATIONSHIP_TYPES)
+        .filter(type => links.some(link => link.type === 'parent' && link.relationshipType === type))
+        .forEach(type => items.push({ shape: 'line', color: RELATIONSHIP_TYPES[type].color, label: RELATIONSHIP_TYPES[type].legend }));
+    if (links.some(link => link.type === 'ingredient')) {
+        items.push({ shape: 'line', color: '#ddd', label: 'Ingredient' });
+    }
+    if (links.some(link => link.type === 'similar')) {
+        items.push({ shape: 'line', color: '#e67e22', label: 'Similar ingredients' });
+    }
+
+    Object.keys(INGREDIENT_CATEGORIES)
+        .filter(category => nodes.some(node => node.type === 'ingredient' && node.category === category))
+        .forEach(category => items.push({ shape: 'circle', color: INGREDIENT_CATEGORIES[category].color, label: INGREDIENT_CATEGORIES[category].label, small: true }));
+
+    if (items.length === 0) return '';
+
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+    const rows = items.map((item, i) => {
+        const y = 18 + i * 16;
+        const marker = item.shape === 'circle' ?
+            `<circle cx="16" cy="${y}" r="${item.small ? 4 : 6}" fill="${item.color}" stroke="#fff"/>` :
+            `<line x1="8" y1="${y}" x2="24" y2="${y}" stroke="${item.color}" stroke-width="2"/>`;
+        return `${marker}<text x="32" y="${y}" dy=".35em" font-size="11" font-family="sans-serif" fill="#333">${escape(item.label)}</text>`;
+    });
+
+    const legendWidth = 40 + Math.max(...items.map(item => item.label.length)) * 6.5;
+    return `
+        <g class="export-legend" transform="translate(10, 10)">
+            <rect width="${legendWidth}" height="${items.length * 16 + 12}" rx="4" fill="#fff" fill-opacity="0.9" stroke="#ddd"/>
+            ${rows.join('')}
+        </g>
+    `;
+}
+
+// Rasterize an exported SVG at twice the screen size
+function renderSvgToPng(svgText) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml' }));
+        const image = new Image();
+        image.onload = () => {
+            const scale = 2;
+            const canvas = document.createElement('canvas');
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const context = canvas.getContext('2d');
+            context.scale(scale, scale);
+            context.drawImage(image, 0, 0, width, height);
+            URL.revokeObjectURL(url);
+            canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render PNG')), 'image/png');
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Could not load the exported SVG'));
+        };
+        image.src = url;
+    });
+}
+
+// Write the given sauces back out in the data.json format, with the
+// registry entries they use. Sauces used as ingredients come along even when
+// they are not given, so their names still resolve; parents outside the
+// subset are dropped
+function getExportDataset(nodes) {
+    const sauces = nodes.filter(node => node.type === 'sauce');
+    const sauceIds = new Set(sauces.map(sauce => sauce.id));
+    for (let i = 0; i < sauces.length; i++) {
+        sauces[i].componentIds.forEach(id => {
+            if (sauceIds.has(id)) return;
+            sauceIds.add(id);
+            sauces.push(graph.index.saucesById.get(id));
+        });
+    }
+    const usedIngredientIds = new Set(sauces.flatMap(sauce => sauce.ingredientIds));
+
+    return {
+        nodes: sauces.map(sauce => {
+            const entry = { id: sauce.id, name: sauce.name, type: 'sauce' };
+            if (sauce.country !== undefined) entry.country = sauce.country;
+            if (sauce.countryDisputed) entry.countryDisputed = true;
+            if (sauce.description) entry.description = sauce.description;
+            if (sauce.wikipedia) entry.wikipedia = sauce.wikipedia;
+            entry.ingredients = sauce.ingredients || [];
+            if (sauce.isMotherSauce) entry.isMotherSauce = true;
+
+            const parents = sauce.parents.filter(parent => sauceIds.has(parent.id));
+            if (parents.length > 0) {
+                entry.parents = parents.map(parent => {
+                    const parentEntry = { id: parent.id, type: parent.type };
+                    if (parent.description) parentEntry.description = parent.description;
+                    return parentEntry;
+                });
+            }
+            return entry;
+        }),
+        ingredients: (graph.ingredients || []).filter(ingredient => usedIngredientIds.has(ingredient.id))
+    };
+}
+
+// List the given sauces as CSV, one row per sauce-ingredient pair.
+// Sauce components are listed with the kind "sauce"
+function getExportCsv(nodes) {
+    const rows = [['sauce_id', 'sauce_name', 'countries', 'ingredient_id', 'ingredient_name', 'kind', 'category']];
+
+    nodes.filter(node => node.type === 'sauce').forEach(sauce => {
+        const countries = sauce.countries.join(';');
+        sauce.ingredientIds.forEach(id => {
+            const ingredient = graph.index.ingredientsById.get(id);
+            rows.push([sauce.id, sauce.name, countries, id, ingredient.name, 'ingredient', ingredient.category]);
+        });
+        sauce.componentIds.forEach(id => {
+            const component = graph.index.saucesById.get(id);
+            rows.push([sauce.id, sauce.name, countries, id, component.name, 'sauce', '']);
+        });
+    });
+
+    return formatCsv(rows);
+}
+
+// Join rows of values into CSV text, quoting the values that need it
+function formatCsv(rows) {
+    const quote = value => /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+    return rows.map(row => row.map(value => quote(String(value))).join(',')).join('\n') + '\n';
+}
+
+// Encode the explorer state (selection, filters, modes and zoom) as a URL hash
+function encodeExplorerState() {
+    const params = new URLSearchParams();
+    if (selectedNode) params.set('sauce', selectedNode.id);
+    if (searchTerm) params.set('q', searchTerm);
+    if (ingredientMode) params.set('ingredients', '1');
+    if (layoutMode !== 'force') params.set('layout', layoutMode);
+    if (mapMode) params.set('map', '1');
+    selectedIngredients.forEach((mode, id) => params.append(mode, id));
+    if (ingredientMatchMode === 'nested') params.set('nested', '1');
+    dietaryFilters.forEach(label => params.append('diet', label));
+    hiddenRelationshipTypes.forEach(type => params.append('hide', type));
+    if (similarityEdgeCount > 0) params.set('similar', String(similarityEdgeCount));
+    if (focusDepth > 0) params.set('focus', focusDepth === Infinity ? 'all' : String(focusDepth));
+    if (comparedSauces.length > 0) params.set('compare', comparedSauces.map(sauce => sauce.id).join(','));
+    if (compareExpanded) params.set('expand', '1');
+
+    const transform = d3.zoomTransform(svg.node());
+    params.set('zoom', [transform.k.toFixed(2), Math.round(transform.x), Math.round(transform.y)].join(','));
+
+    // Commas are safe in a fragment, so keep them readable
+    return '#' + params.toString().replace(/%2C/g, ',');
+}
+
+// Read explorer state back from a URL hash
+function parseExplorerState(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const zoom = (params.get('zoom') || '').split(',').map(Number);
+
+    return {
+        selectedId: params.get('sauce'),
+        searchTerm: params.get('q') || '',
+        ingredientMode: params.get('ingredients') === '1',
+        layout: LAYOUT_MODES.includes(params.get('layout')) ? params.get('layout') : 'force',
+        map: params.get('map') === '1',
+        ingredients: Object.keys(FILTER_MODES).flatMap(mode => params.getAll(mode).map(id => [id, mode])),
+        matchMode: params.get('nested') === '1' ? 'nested' : 'direct',
+        dietary: params.getAll('diet').filter(label => DIETARY_LABELS[label]),
+        hiddenRelationships: params.getAll('hide').filter(type => RELATIONSHIP_TYPES[type]),
+        similarity: Number(params.get('similar')) || 0,
+        focus: params.get('focus') === 'all' ? Infinity : Number(params.get('focus')) || 0,
+        compare: (params.get('compare') || '').split(',').filter(Boolean),
+        expand: params.get('expand') === '1',
+        zoom: zoom.length === 3 && zoom.every(Number.isFinite) ? zoom : null
+    };
+}
+
+// Apply state read from the URL to the globals, the controls and the view
+function applyExplorerState(state) {
+    restoringState = true;
+
+    searchTerm = state.searchTerm;
+    ingredientMode = state.ingredientMode;
+    layoutMode = state.layout;
+    mapMode = state.map;
+    selectedIngredients = new Map(state.ingredients);
+    ingredientMatchMode = state.matchMode;
+    dietaryFilters = new Set(state.dietary);
+    hiddenRelationshipTypes = new Set(state.hiddenRelationships);
+    similarityEdgeCount = state.similarity;
+    focusDepth = state.focus;
+    comparedSauces = state.compare.map(id => graph.index.saucesById.get(id)).filter(Boolean);
+    compareExpanded = state.expand;
+
+    // Bring the controls in line with the state
+    document.getElementById('search').value = searchTerm;
+    document.getElementById('show-ingredients').checked = ingredientMode;
+    document.getElementById('layout-mode').value = layoutMode;
+    document.getElementById('map-mode').checked = mapMode;
+    document.getElementById('map-view').hidden = !mapMode;
+    resizeGraph();
+    document.getElementById('similarity-edges').value = String(similarityEdgeCount);
+    document.getElementById('focus-depth').value = focusDepth === Infinity ? 'all' : String(focusDepth);
+    document.querySelectorAll('.relationship-toggles input').forEach(input => {
+        input.checked = !hiddenRelationshipTypes.has(input.dataset.type);
+    });
+    updateDietaryFilter();
+    document.getElementById('compare-expanded').checked = compareExpanded;
+    updateCompareView();
+
+    selectedNode = state.selectedId ? getNodeById(state.selectedId) || null : null;
+    updateVisualization();
+    if (selectedNode) {
+        showSauceDetails(selectedNode);
+    } else {
+        document.getElementById('sauce-details').innerHTML = '<p>Select a sauce to see details</p>';
+    }
+
+    if (state.zoom) {
+        const [k, x, y] = state.zoom;
+        svg.interrupt().call(zoomHandler.transform, d3.zoomIdentity.translate(x, y).scale(k));
+    }
+
+    restoringState = false;
+}
+
+// Write the current state to the URL. Selection and filter changes add a
+// history entry; typing in the search box and zooming replace the current one
+function updateUrlState() {
+    if (restoringState || !graph) return;
+
+    const hash = encodeExplorerState();
+    if (hash === location.hash) return;
+
+    const withoutTransient = value => value.replace(/^#/, '').split('&')
+        .filter(part => !part.startsWith('zoom=') && !part.startsWith('q='))
+        .join('&');
+
+    if (withoutTransient(hash) === withoutTransient(location.hash)) {
+        history.replaceState(null, '', hash);
+    } else {
+        history.pushState(null, '', hash);
+    }
+}
+
+// Read the saved Wikipedia summaries from localStorage, dropping expired ones
+function loadWikipediaCache() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WIKIPEDIA_CACHE_KEY)) || {};
+        const now = Date.now();
+        return Object.fromEntries(Object.entries(saved).filter(([, entry]) =>
+            entry && now - entry.fetchedAt < WIKIPEDIA_CACHE_TTL
+        ));
+    } catch (error) {
+        return {};
+    }
+}
+
+// Save the Wikipedia summaries to localStorage
+function saveWikipediaCache() {
+    try {
+        localStorage.setItem(WIKIPEDIA_CACHE_KEY, JSON.stringify(wikipediaCache));
     } catch (error) {
-        console.error('Error fetching Wikipedia image:', error);
-        return null;
+        console.error('Error saving Wikipedia cache:', error);
+    }
+}
+
+// Replace the function that fetches a page summary. It is called with the
+// page title and an AbortSignal and resolves to { imageUrl, extract }
+function setWikipediaFetcher(fetcher) {
+    wikipediaFetcher = fetcher;
+}
+
+// Default fetcher: the Wikipedia REST API page summary
+async function fetchWikipediaSummaryFromApi(pageTitle, signal) {
+    const apiUrl = `https://en.wikipedia.org/api/rest_v1/page/summary/${pageTitle}`;
+    const response = await fetch(apiUrl, { signal });
+    if (!response.ok) throw new Error(`Wikipedia responded with ${response.status}`);
+    const data = await response.json();
+
+    return {
+        imageUrl: data.thumbnail ? data.thumbnail.source : null,
+        extract: data.extract || null
+    };
+}
+
+// Fetch the Wikipedia image and summary extract for a sauce, from the cache
+// when fresh. Resolves to { imageUrl, extract, failed }; rejects with an
+// AbortError if `signal` is aborted because the selection changed
+async function fetchWikipediaSummary(wikipediaUrl, signal) {
+    const cached = wikipediaCache[wikipediaUrl];
+    if (cached && Date.now() - cached.fetchedAt < WIKIPEDIA_CACHE_TTL) {
+        return { imageUrl: cached.imageUrl, extract: cached.extract, failed: false };
+    }
+
+    // Extract page title from URL
+    const pageTitle = wikipediaUrl.split('/').pop();
+
+    // Abort on timeout as well as when the caller cancels
+    const controller = new AbortController();
+    const abort = () => controller.abort();
+    const timer = setTimeout(abort, WIKIPEDIA_TIMEOUT);
+    signal.addEventListener('abort', abort);
+
+    try {
+        const { imageUrl, extract } = await wikipediaFetcher(pageTitle, controller.signal);
+        wikipediaCache[wikipediaUrl] = { imageUrl, extract, fetchedAt: Date.now() };
+        saveWikipediaCache();
+        return { imageUrl, extract, failed: false };
+    } catch (error) {
+        if (signal.aborted) throw error;
+        console.error('Error fetching Wikipedia summary:', error);
+        return { imageUrl: null, extract: null, failed: true };
+    } finally {
+        clearTimeout(timer);
+        signal.removeEventListener('abort', abort);
     }
 }
 
 // Show sauce or ingredient details
 async function showSauceDetails(node) {
     const detailsContainer = document.getElementById('sauce-details');
+    updateUrlState();
+    applyFocus();
+
+    // Cancel the request for the previous selection so it cannot overwrite this one
+    if (detailsAbortController) detailsAbortController.abort();
+    const controller = new AbortController();
+    detailsAbortController = controller;
 
     if (node.type === 'sauce') {
         // Show loading state
         detailsContainer.innerHTML = `
-            <h3>${node.name}</h3>
+            <h3>${escapeHtml(node.name)}</h3>
             <p>Loading details...</p>
         `;
 
-        // Fetch image from Wikipedia if available
+        // Fetch image and summary from Wikipedia if available
         let imageHtml = '';
-        if (node.wikipedia) {
-            const imageUrl = await fetchWikipediaImage(node.wikipedia);
-            if (imageUrl) {
-                imageHtml = `<img src="${imageUrl}" alt="${node.name}" class="sauce-image">`;
+        let summary = { imageUrl: null, extract: null, failed: false };
+        if (isWikipediaUrl(node.wikipedia)) {
+            try {
+                summary = await fetchWikipediaSummary(node.wikipedia, controller.signal);
+            } catch (error) {
+                // Another sauce was selected meanwhile
+                return;
+            }
+            if (controller.signal.aborted) return;
+            if (summary.imageUrl) {
+                imageHtml = `<img src="${escapeHtml(summary.imageUrl)}" alt="${escapeHtml(node.name)}" class="sauce-image">`;
+            } else if (summary.failed) {
+                imageHtml = `<img src="${PLACEHOLDER_IMAGE}" alt="Image unavailable" class="sauce-image">`;
             }
         }
 
-        // Find parent sauce
+        // Find parent sauces
         let parentHtml = '';
-        if (node.parent) {
-            const parentNode = graph.nodes.find(n => n.id === node.parent);
-            if (parentNode) {
-                parentHtml = `
-                    <h4>Parent Sauce:</h4>
-                    <p><strong>${parentNode.name}</strong> - ${node.relationshipToParent || 'Derivative'}</p>
-                `;
-            }
+        const parentEntries = node.parents
+            .map(parent => ({ ...parent, node: graph.index.saucesById.get(parent.id) }))
+            .filter(parent => parent.node);
+        if (parentEntries.length > 0) {
+            parentHtml = `
+                <h4>Parent Sauce${parentEntries.length !== 1 ? 's' : ''}:</h4>
+                <ul class="parents-list">
+                    ${parentEntries.map(parent => `
+                        <li>
+                            <span class="relationship-swatch rel-${parent.type}"></span>
+                            ${RELATIONSHIP_TYPES[parent.type].label}
+                            <span class="sauce-link" data-id="${escapeHtml(parent.node.id)}">${escapeHtml(parent.node.name)}</span>
+                            ${parent.description ? ` - ${escapeHtml(parent.description)}` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            `;
         }
 
         // Find child sauces
-        const childSauces = graph.nodes.filter(n => n.parent === node.id);
+        const childSauces = getChildSauces(node.id);
         let derivativesHtml = '';
         if (childSauces.length > 0) {
             derivativesHtml = `
                 <h4>Derivatives:</h4>
                 <ul>
-                    ${childSauces.map(sauce => `<li>${sauce.name}</li>`).join('')}
+                    ${childSauces.map(sauce => `<li><span class="sauce-link" data-id="${escapeHtml(sauce.id)}">${escapeHtml(sauce.name)}</span></li>`).join('')}
                 </ul>
             `;
         }
 
         // Create HTML for sauce details
         let html = `
-            <h3>${node.name}</h3>
-            ${node.country ? `<p class="country">${getCountryFlag(node.country)} ${getCountryName(node.country)}</p>` : ''}
+            <h3>${escapeHtml(node.name)}</h3>
+            ${node.countries.length > 0 ? `<p class="country">
+                ${node.countryDisputed ? '<span class="disputed">Disputed origin:</span>' : ''}
+                ${node.countries.map(code => `${getCountryFlag(code)} ${getCountryName(code)}`).join(node.countryDisputed ? ' or ' : ', ')}
+            </p>` : ''}
             ${imageHtml}
-            <p>${node.description || 'No description available.'}</p>
-            ${node.wikipedia ? `<p><a href="${node.wikipedia}" target="_blank">Wikipedia</a></p>` : ''}
+            <p>${escapeHtml(node.description || summary.extract || 'No description available.')}</p>
+            ${isWikipediaUrl(node.wikipedia) ? `<p><a href="${escapeHtml(node.wikipedia)}" target="_blank" rel="noopener">Wikipedia</a></p>` : ''}
+            ${extraDatasets.length > 0 ? `<p class="sauce-sources">Source: ${escapeHtml(node.sources.join(', '))}</p>` : ''}
+            ${editMode && (sauceDrafts[node.id] || baseData.nodes.some(n => n.id === node.id)) ?
+                `<button id="edit-sauce" class="btn">${sauceDrafts[node.id] ? 'Edit Draft' : 'Edit This Sauce'}</button>` : ''}
+            <button id="compare-sauce" class="btn">${comparedSauces.includes(node) ? 'Remove from Comparison' : 'Add to Comparison'}</button>
+            ${getDietaryBadgesHtml(node)}
             
             ${parentHtml}
             ${derivativesHtml}
@@ -629,35 +4205,42 @@ async function showSauceDetails(node) {
                 ${node.ingredients && node.ingredients.length > 0 ?
                 node.ingredients.map(ingredient => {
                     // Check if this ingredient is another sauce
-                    const sauceNode = graph.nodes.find(n => n.name === ingredient);
+                    const sauceNode = graph.index.saucesByName.get(ingredient);
                     if (sauceNode) {
-                        return `<li><span class="sauce-component" data-id="${sauceNode.id}">${ingredient}</span></li>`;
+                        return `<li><span class="sauce-component" data-id="${escapeHtml(sauceNode.id)}">${escapeHtml(ingredient)}</span></li>`;
                     } else {
-                        const isFiltered = selectedIngredients.has(ingredient);
+                        const resolved = resolveIngredient(ingredient);
+                        const isFiltered = selectedIngredients.has(resolved.id);
                         return `<li>
-                                <span class="ingredient">${ingredient}</span>
-                                <button class="filter-btn" data-name="${ingredient}">
-                                    ${isFiltered ? 'Unfilter' : 'Filter by this'}
-                                </button>
+                                <span class="ingredient" ${resolved.name !== ingredient ? `title="${escapeHtml(resolved.name)}"` : ''}>${escapeHtml(ingredient)}</span>
+                                <span>
+                                    <button class="filter-btn" data-id="${escapeHtml(resolved.id)}">
+                                        ${isFiltered ? 'Unfilter' : 'Filter by this'}
+                                    </button>
+                                    ${isFiltered ? '' : `<button class="filter-btn" data-id="${escapeHtml(resolved.id)}" data-mode="exclude">Exclude</button>`}
+                                </span>
                             </li>`;
                     }
                 }).join('') :
                 '<li>No ingredients listed</li>'}
             </ul>
+            ${getFullRecipeHtml(node)}
+            ${getSimilarSaucesHtml(node)}
         `;
 
         detailsContainer.innerHTML = html;
+        announce(`Showing details for ${getNodeLabel(node)}`);
 
         // Add event listeners to ingredient filter buttons
         document.querySelectorAll('.filter-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
-                const name = e.target.dataset.name;
-                if (selectedIngredients.has(name)) {
+                const id = e.target.dataset.id;
+                if (selectedIngredients.has(id)) {
                     // If already filtered, remove the filter
-                    selectedIngredients.delete(name);
+                    selectedIngredients.delete(id);
                 } else {
                     // If not filtered, add the filter
-                    selectedIngredients.add(name);
+                    selectedIngredients.set(id, e.target.dataset.mode || 'require');
                 }
 
                 // Clear search
@@ -668,11 +4251,17 @@ async function showSauceDetails(node) {
             });
         });
 
-        // Add click handlers for sauce components
-        document.querySelectorAll('.sauce-component').forEach(elem => {
+        const editButton = document.getElementById('edit-sauce');
+        if (editButton) {
+            editButton.addEventListener('click', () => openSauceEditor(node.id));
+        }
+        document.getElementById('compare-sauce').addEventListener('click', () => toggleCompared(node));
+
+        // Add click handlers for sauce components, parents and derivatives
+        detailsContainer.querySelectorAll('.sauce-component, .sauce-link').forEach(elem => {
             elem.addEventListener('click', (e) => {
                 const id = e.target.dataset.id;
-                const sauceNode = graph.nodes.find(n => n.id === id);
+                const sauceNode = graph.index.saucesById.get(id);
                 if (sauceNode) {
                     selectedNode = sauceNode;
                     showSauceDetails(sauceNode);
@@ -680,47 +4269,70 @@ async function showSauceDetails(node) {
             });
         });
     } else if (node.type === 'ingredient') {
-        // Find sauces that use this ingredient
-        const sauces = graph.nodes.filter(sauce =>
-            sauce.ingredients && sauce.ingredients.some(ing =>
-                ing.toLowerCase() === node.name.toLowerCase()
-            )
-        );
+        // Find sauces that use this ingredient under any of its spellings
+        const sauces = (graph.index.saucesByIngredient.get(node.id) || []);
 
-        const isFiltered = selectedIngredients.has(node.name);
+        const isFiltered = selectedIngredients.has(node.id);
         let html = `
-            <h3>${node.name}</h3>
+            <h3>${escapeHtml(node.name)}</h3>
+            <p class="ingredient-category">
+                <span class="category-swatch" style="background: ${INGREDIENT_CATEGORIES[node.category].color}"></span>
+                ${INGREDIENT_CATEGORIES[node.category].label}
+            </p>
+            ${node.aliases.length > 0 ? `<p>Also listed as: ${escapeHtml(node.aliases.join(', '))}</p>` : ''}
             <button id="filter-by-ingredient" class="btn">
                 ${isFiltered ? 'Unfilter' : 'Show Only Sauces With This Ingredient'}
             </button>
+            ${isFiltered ? '' : '<button id="exclude-ingredient" class="btn">Hide Sauces With This Ingredient</button>'}
+            <button id="toggle-pantry-ingredient" class="btn">
+                ${pantry.has(node.id) ? 'Remove From Pantry' : 'Add To Pantry'}
+            </button>
             <p>Used in ${sauces.length} sauce${sauces.length !== 1 ? 's' : ''}:</p>
             <ul class="sauces-list">
                 ${sauces.length > 0 ?
-                sauces.map(sauce => `<li><span class="sauce-link" data-id="${sauce.id}">${sauce.name}</span></li>`).join('') :
+                sauces.map(sauce => `<li><span class="sauce-link" data-id="${escapeHtml(sauce.id)}">${escapeHtml(sauce.name)}</span></li>`).join('') :
                 '<li>No sauces found</li>'}
             </ul>
         `;
 
         detailsContainer.innerHTML = html;
+        announce(`Showing details for ${getNodeLabel(node)}`);
+
+        // Add event listeners
+        document.getElementById('filter-by-ingredient').addEventListener('click', () => {
+            if (selectedIngredients.has(node.id)) {
+                // Clear the filter
+                selectedIngredients.delete(node.id);
+            } else {
+                // Set this as the only filter
+                selectedIngredients.clear();
+                selectedIngredients.set(node.id, 'require');
+            }
+            updateVisualization();
+        });
+
+        const excludeButton = document.getElementById('exclude-ingredient');
+        if (excludeButton) {
+            excludeButton.addEventListener('click', () => {
+                selectedIngredients.set(node.id, 'exclude');
+                updateVisualization();
+            });
+        }
 
-        // Add event listeners
-        document.getElementById('filter-by-ingredient').addEventListener('click', () => {
-            if (selectedIngredients.has(node.name)) {
-                // Clear the filter
-                selectedIngredients.delete(node.name);
+        document.getElementById('toggle-pantry-ingredient').addEventListener('click', () => {
+            if (pantry.has(node.id)) {
+                removeFromPantry(node.id);
             } else {
-                // Set this as the only filter
-                selectedIngredients.clear();
-                selectedIngredients.add(node.name);
+                addToPantry(node.name);
             }
-            updateVisualization();
+            showSauceDetails(node);
         });
 
         // Add click handlers for sauce links
-        document.querySelectorAll('.sauce-link').forEach(elem => {
+        document.querySelectorAll('#sauce-details .sauce-link').forEach(elem => {
             elem.addEventListener('click', (e) => {
                 const id = e.target.dataset.id;
-                const sauceNode = graph.nodes.find(n => n.id === id);
+                const sauceNode = graph.index.saucesById.get(id);
                 if (sauceNode) {
                     selectedNode = sauceNode;
                     showSauceDetails(sauceNode);
@@ -731,6 +4343,166 @@ async function showSauceDetails(node) {
 
     // Highlight selected node
     d3.selectAll('.node').classed('selected', d => d.id === node.id);
+    if (canvasMode) drawCanvas();
+}
+
+// Show the dataset validation report in a collapsible panel
+function showDataProblems(report) {
+    let panel = document.getElementById('data-problems');
+    if (!panel) {
+        panel = document.createElement('details');
+        panel.id = 'data-problems';
+        document.getElementById('info-panel').appendChild(panel);
+    }
+
+    const { errors, warnings } = report;
+    const issues = [
+        ...errors.map(issue => ({ ...issue, level: 'error' })),
+        ...warnings.map(issue => ({ ...issue, level: 'warning' }))
+    ];
+
+    panel.classList.toggle('has-errors', errors.length > 0);
+    panel.innerHTML = `
+        <summary>Data problems: ${errors.length} error${errors.length !== 1 ? 's' : ''},
+            ${warnings.length} warning${warnings.length !== 1 ? 's' : ''}</summary>
+        ${issues.length > 0 ? `
+            <ul class="problems-list">
+                ${issues.map(issue => `
+                    <li class="problem ${issue.level}" ${issue.nodeId ? `data-id="${escapeHtml(issue.nodeId)}"` : ''}>
+                        <span class="problem-level">${issue.level}</span> ${escapeHtml(issue.message)}
+                    </li>
+                `).join('')}
+            </ul>
+        ` : '<p>No problems found in data.json.</p>'}
+    `;
+
+    // Clicking a problem opens the sauce it refers to
+    panel.querySelectorAll('.problem[data-id]').forEach(elem => {
+        elem.addEventListener('click', () => {
+            const sauceNode = graph && graph.index.saucesById.get(elem.dataset.id);
+            if (sauceNode) {
+                selectedNode = sauceNode;
+                showSauceDetails(sauceNode);
+            }
+        });
+    });
+}
+
+// Build a sauce's bill of materials: its own ingredients plus each sauce
+// component opened into its ingredients, recursively. A component already
+// on the path is marked as a loop instead of being opened again
+function buildRecipeTree(sauce, path = new Set()) {
+    path.add(sauce.id);
+    const components = sauce.componentIds.map(componentId => {
+        const component = graph.index.saucesById.get(componentId);
+        if (path.has(componentId)) {
+            return { sauce: component, loop: true };
+        }
+        return buildRecipeTree(component, path);
+    });
+    path.delete(sauce.id);
+
+    return { sauce, ingredientIds: sauce.ingredientIds, components };
+}
+
+// Flatten a recipe tree into its distinct base ingredients, each with the
+// shallowest level it comes from (0 = listed directly) and the components on the way
+function flattenRecipeTree(tree, depth = 0, via = [], result = new Map()) {
+    tree.ingredientIds.forEach(id => {
+        const existing = result.get(id);
+        if (existing) {
+            existing.uses++;
+            if (depth < existing.depth) {
+                existing.depth = depth;
+                existing.via = via;
+            }
+        } else {
+            result.set(id, { id, name: getIngredientName(id), depth, via, uses: 1 });
+        }
+    });
+    tree.components
+        .filter(component => !component.loop)
+        .forEach(component => flattenRecipeTree(component, depth + 1, [...via, component.sauce.name], result));
+    return result;
+}
+
+// Build the expandable ingredient tree and flattened list for sauces with components
+function getFullRecipeHtml(sauce) {
+    if (sauce.componentIds.length === 0) return '';
+
+    const tree = buildRecipeTree(sauce);
+    const renderTree = node => `
+        <ul class="recipe-tree">
+            ${node.components.map(component => component.loop ? `
+                <li class="recipe-loop">${escapeHtml(component.sauce.name)} <em>(loops back)</em></li>
+            ` : `
+                <li>
+                    <details>
+                        <summary class="recipe-component">${escapeHtml(component.sauce.name)}</summary>
+                        ${renderTree(component)}
+                    </details>
+                </li>
+            `).join('')}
+            ${node.ingredientIds.map(id => `<li>${escapeHtml(getIngredientName(id))}</li>`).join('')}
+        </ul>
+    `;
+
+    const flat = Array.from(flattenRecipeTree(tree).values())
+        .sort((a, b) => a.depth - b.depth || a.name.localeCompare(b.name));
+
+    return `
+        <details class="full-recipe">
+            <summary>Full recipe</summary>
+            ${renderTree(tree)}
+            <h4>Base ingredients (${flat.length}):</h4>
+            <ul class="base-ingredients">
+                ${flat.map(item => `
+                    <li>
+                        ${escapeHtml(item.name)}
+                        <span class="recipe-depth">${item.depth === 0 ?
+                            'listed directly' :
+                            `${item.depth} level${item.depth !== 1 ? 's' : ''} deep, via ${escapeHtml(item.via.join(' → '))}`}${item.uses > 1 ? `, used ${item.uses} times` : ''}</span>
+                    </li>
+                `).join('')}
+            </ul>
+        </details>
+    `;
+}
+
+// Build the "Similar sauces" list with shared and differing ingredients
+function getSimilarSaucesHtml(sauce) {
+    const matches = getSimilarSauces(sauce, 5);
+    if (matches.length === 0) return '';
+
+    const names = ids => escapeHtml(ids.map(getIngredientName).join(', ')) || 'nothing';
+    return `
+        <h4>Similar sauces:</h4>
+        <ul class="similar-sauces">
+            ${matches.map(match => `
+                <li>
+                    <span class="sauce-link" data-id="${escapeHtml(match.sauce.id)}">${escapeHtml(match.sauce.name)}</span>
+                    ${getCountryFlags(match.sauce.countries)}
+                    <span class="similarity-score">${Math.round(match.score * 100)}%</span>
+                    <div class="similarity-detail">Shared: ${names(match.shared)}</div>
+                    <div class="similarity-detail">Only here: ${names(match.onlyA)}</div>
+                    <div class="similarity-detail">Only in ${escapeHtml(match.sauce.name)}: ${names(match.onlyB)}</div>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// Build the dietary badges for a sauce: labels it qualifies for and flags it carries
+function getDietaryBadgesHtml(sauce) {
+    const { flags, labels, unknown } = sauce.dietary;
+    return `
+        <div class="dietary-badges">
+            ${unknown.length === 0 ?
+                labels.map(label => `<span class="dietary-badge diet">${DIETARY_LABELS[label].label}</span>`).join('') :
+                `<span class="dietary-badge unknown" title="No dietary data for: ${escapeHtml(unknown.join(', '))}">Dietary info incomplete</span>`}
+            ${flags.map(flag => `<span class="dietary-badge contains">Contains ${DIETARY_FLAGS[flag].label.toLowerCase()}</span>`).join('')}
+        </div>
+    `;
 }
 
 // Get country flag emoji
@@ -744,20 +4516,29 @@ function getCountryFlag(countryCode) {
     return String.fromCodePoint(...codePoints);
 }
 
-// Get country name from code
+// Get flag emojis for a list of country codes
+function getCountryFlags(codes) {
+    return codes.map(getCountryFlag).join('');
+}
+
+// Get country name from code, in the browser's language
+let countryNames = null;
 function getCountryName(code) {
-    const countries = {
-        'FR': 'France',
-        'IT': 'Italy',
-        'ES': 'Spain',
-        'MX': 'Mexico',
-        'JP': 'Japan',
-        'CN': 'China',
-        'HK': 'Hong Kong',
-        'KR': 'Korea'
-    };
+    if (countryNames === null) {
+        try {
+            countryNames = new Intl.DisplayNames([navigator.language, 'en'], { type: 'region' });
+        } catch (error) {
+            countryNames = false;
+        }
+    }
+
+    if (!countryNames) return code;
 
-    return countries[code] || code;
+    try {
+        return countryNames.of(code) || code;
+    } catch (error) {
+        return code;
+    }
 }
 
 // Add CSS styles
@@ -765,77 +4546,825 @@ document.head.insertAdjacentHTML('beforeend', `
 <style>
     .tooltip {
         position: absolute;
-        background: rgba(255, 255, 255, 0.9);
-        border: 1px solid #ddd;
-        border-radius: 4px;
-        padding: 10px;
-        pointer-events: none;
-        font-size: 12px;
-        box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+        background: rgba(255, 255, 255, 0.9);
+        border: 1px solid #ddd;
+        border-radius: 4px;
+        padding: 10px;
+        pointer-events: none;
+        font-size: 12px;
+        box-shadow: 0 1px 3px rgba(0,0,0,0.2);
+    }
+    
+    .node.highlighted circle {
+        stroke: #f39c12;
+        stroke-width: 3px;
+    }
+    
+    .node.faded {
+        opacity: 0.3;
+    }
+    
+    .node.selected circle {
+        stroke: #e74c3c;
+        stroke-width: 3px;
+    }
+    
+    .node.ingredient circle {
+        cursor: pointer;
+    }
+    
+    .country {
+        font-size: 14px;
+        margin-bottom: 10px;
+    }
+    
+    .country .disputed {
+        font-style: italic;
+        color: #777;
+    }
+    
+    .sauce-image {
+        max-width: 100%;
+        max-height: 150px;
+        display: block;
+        margin: 10px 0;
+        border-radius: 4px;
+    }
+    
+    .ingredients-list li {
+        display: flex;
+        justify-content: space-between;
+        align-items: center;
+        margin-bottom: 3px;
+    }
+    
+    .filter-btn {
+        font-size: 10px;
+        padding: 2px 5px;
+        background: #f0f0f0;
+        border: 1px solid #ddd;
+        border-radius: 3px;
+        cursor: pointer;
+    }
+    
+    .sauce-component, .sauce-link {
+        color: #3498db;
+        cursor: pointer;
+        text-decoration: underline;
+    }
+    
+    .link.parent {
+        stroke: #999;
+        stroke-width: 2px;
+    }
+    
+    .link.rel-regional-variant {
+        stroke: #16a085;
+        stroke-dasharray: 6, 3;
+    }
+    
+    .link.rel-inspired-by {
+        stroke: #8e44ad;
+        stroke-dasharray: 2, 4;
+    }
+    
+    .relationship-toggles {
+        display: flex;
+        gap: 1rem;
+        font-size: 12px;
+    }
+    
+    .relationship-swatch {
+        display: inline-block;
+        width: 18px;
+        height: 0;
+        vertical-align: middle;
+        border-top: 2px solid #999;
+    }
+    
+    .relationship-swatch.rel-regional-variant {
+        border-top: 2px dashed #16a085;
+    }
+    
+    .relationship-swatch.rel-inspired-by {
+        border-top: 2px dotted #8e44ad;
+    }
+    
+    .parents-list li {
+        margin-bottom: 3px;
+    }
+    
+    .link.similar {
+        stroke: #e67e22;
+        stroke-opacity: 0.5;
+        stroke-dasharray: 1, 3;
+        stroke-linecap: round;
+    }
+    
+    .similar-sauces li {
+        margin-bottom: 6px;
+    }
+    
+    .similarity-score {
+        font-size: 11px;
+        color: #666;
+    }
+    
+    .similarity-detail {
+        font-size: 11px;
+        color: #999;
+    }
+    
+    .link.ingredient {
+        stroke: #ddd;
+        stroke-width: 1px;
+        stroke-dasharray: 3, 3;
+    }
+    
+    .link.highlighted {
+        stroke-opacity: 1;
+    }
+    
+    .link.faded {
+        opacity: 0.15;
+    }
+    
+    #load-status {
+        position: absolute;
+        top: 50%;
+        left: 50%;
+        transform: translate(-50%, -50%);
+        text-align: center;
+        background: white;
+        padding: 1rem 1.5rem;
+        border-radius: 8px;
+    }
+    
+    #load-status.error {
+        border: 1px solid #f5b7b1;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+    }
+    
+    #load-status button {
+        margin-top: 0.5rem;
+    }
+    
+    #update-prompt {
+        position: fixed;
+        bottom: 1rem;
+        left: 50%;
+        transform: translateX(-50%);
+        background: #333;
+        color: white;
+        padding: 0.5rem 1rem;
+        border-radius: 4px;
+        box-shadow: 0 2px 6px rgba(0, 0, 0, 0.3);
+        display: flex;
+        gap: 0.5rem;
+        align-items: center;
+        z-index: 20;
+    }
+    
+    #update-dismiss {
+        background: #666;
+    }
+    
+    #category-legend {
+        position: absolute;
+        left: 10px;
+        bottom: 10px;
+        max-width: 60%;
+        background: rgba(255, 255, 255, 0.9);
+        border-radius: 4px;
+        padding: 5px 8px;
+        font-size: 11px;
+    }
+    
+    .category-legend-item {
+        display: inline-block;
+        margin-right: 8px;
+    }
+    
+    .category-swatch {
+        display: inline-block;
+        width: 10px;
+        height: 10px;
+        border-radius: 50%;
+        margin-right: 3px;
+        vertical-align: middle;
+    }
+    
+    .coverage-ring {
+        pointer-events: none;
+    }
+    
+    .node.in-pantry circle {
+        stroke: #27ae60;
+        stroke-width: 3px;
+    }
+    
+    #pantry-panel {
+        border-bottom: 1px solid #eee;
+        padding-bottom: 0.5rem;
+        margin-bottom: 1rem;
+        font-size: 0.9rem;
+    }
+    
+    .node.compared:not(.selected) circle {
+        stroke: #8e44ad;
+        stroke-width: 3px;
+    }
+    
+    #compare-view {
+        margin: 0 1rem 1rem;
+        padding: 1rem;
+        background-color: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        overflow-x: auto;
+    }
+    
+    .compare-controls {
+        display: flex;
+        flex-wrap: wrap;
+        align-items: center;
+        gap: 10px;
+        margin-bottom: 0.5rem;
+    }
+    
+    .compare-controls h3 {
+        margin-right: auto;
+    }
+    
+    .compare-hint {
+        color: #666;
+        font-size: 0.9rem;
+    }
+    
+    .compare-table {
+        border-collapse: collapse;
+        font-size: 0.9rem;
+    }
+    
+    .compare-table th,
+    .compare-table td {
+        border: 1px solid #eee;
+        padding: 5px 10px;
+        text-align: left;
+        vertical-align: top;
+    }
+    
+    .compare-table tbody th {
+        background-color: #f9f9f9;
+        white-space: nowrap;
+    }
+    
+    .compare-table ul {
+        margin: 0;
+        padding-left: 1.2rem;
+    }
+    
+    .compare-component {
+        font-style: italic;
+    }
+    
+    .compare-detail {
+        font-size: 12px;
+        color: #999;
+        font-style: italic;
+    }
+    
+    .compare-remove {
+        background: none;
+        color: #999;
+        padding: 0 4px;
+        font-size: 1rem;
+    }
+    
+    #connect-panel {
+        border-bottom: 1px solid #eee;
+        padding-bottom: 0.5rem;
+        margin-bottom: 1rem;
+        font-size: 0.9rem;
+    }
+    
+    #connect-form {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 5px;
+        margin: 5px 0;
+        font-size: 12px;
+    }
+    
+    #connect-form input[type="text"] {
+        flex: 1 1 100%;
+        width: auto;
+    }
+    
+    .connect-message {
+        font-size: 12px;
+        color: #666;
+        margin: 5px 0;
+    }
+    
+    .connect-path {
+        margin: 5px 0 10px 1.2rem;
+        font-size: 12px;
+    }
+    
+    .connect-path li {
+        margin-bottom: 3px;
+    }
+    
+    .connect-start {
+        list-style: none;
+        margin-left: -1.2rem;
+        font-weight: bold;
+    }
+    
+    .connect-detail {
+        font-size: 11px;
+        color: #999;
+        font-style: italic;
+    }
+    
+    #pantry-form {
+        display: flex;
+        gap: 5px;
+        margin: 5px 0;
+    }
+    
+    #pantry-form input {
+        flex: 1;
+        width: auto;
+    }
+    
+    .pantry-remove {
+        background: none;
+        color: #666;
+        padding: 0 0 0 3px;
+    }
+    
+    #pantry-results {
+        max-height: 250px;
+        overflow-y: auto;
+        padding-left: 1.2rem;
+    }
+    
+    #pantry-results li {
+        margin-bottom: 5px;
+    }
+    
+    .pantry-score {
+        font-size: 11px;
+        color: #666;
+        margin-left: 5px;
+    }
+    
+    .pantry-missing {
+        font-size: 11px;
+        color: #999;
+    }
+    
+    #toggle-pantry-ingredient {
+        margin-bottom: 10px;
+        padding: 5px 10px;
+        background: #27ae60;
+    }
+    
+    .visually-hidden {
+        position: absolute;
+        width: 1px;
+        height: 1px;
+        margin: -1px;
+        overflow: hidden;
+        clip: rect(0 0 0 0);
+        white-space: nowrap;
     }
     
-    .node.highlighted circle {
-        stroke: #f39c12;
+    .node:focus {
+        outline: none;
+    }
+    
+    .node:focus-visible circle {
+        stroke: #333;
         stroke-width: 3px;
     }
     
-    .node.faded {
-        opacity: 0.3;
+    #outline-view {
+        flex: 1;
+        background-color: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        padding: 1rem;
+        max-height: 80vh;
+        overflow-y: auto;
     }
     
-    .node.selected circle {
-        stroke: #e74c3c;
-        stroke-width: 3px;
+    #map-view {
+        flex: 1;
+        margin-left: 1rem;
+        padding: 0.5rem;
+        background-color: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        min-height: 500px;
     }
     
-    .node.ingredient circle {
+    .map-sphere {
+        fill: #eef5fb;
+        stroke: #c8d8e4;
+    }
+    
+    .map-graticule {
+        fill: none;
+        stroke: #dde8f0;
+        stroke-width: 0.5px;
+    }
+    
+    .map-land {
+        fill: #e4e4e4;
+        stroke: #fff;
+        stroke-width: 0.5px;
+    }
+    
+    .map-land.has-sauces {
+        fill: #e59866;
         cursor: pointer;
     }
     
-    .country {
-        font-size: 14px;
-        margin-bottom: 10px;
+    .map-land.active {
+        fill: #f5b7b1;
+        stroke: #2c3e50;
     }
     
-    .sauce-image {
-        max-width: 100%;
-        max-height: 150px;
+    .map-country circle {
+        fill: #bbb;
+    }
+    
+    .map-country.has-sauces {
+        cursor: pointer;
+    }
+    
+    .map-country.has-sauces circle {
+        fill: #d35400;
+        fill-opacity: 0.7;
+        stroke: #fff;
+        stroke-width: 1px;
+    }
+    
+    .map-country.active circle {
+        fill: #e74c3c;
+        fill-opacity: 1;
+        stroke: #2c3e50;
+        stroke-width: 2px;
+    }
+    
+    .map-country text {
+        font-size: 9px;
+        fill: #fff;
+        text-anchor: middle;
+        pointer-events: none;
+    }
+    
+    .map-arc {
+        fill: none;
+        stroke: #2c3e50;
+        stroke-opacity: 0.5;
+    }
+    
+    #map-arrow path {
+        fill: #2c3e50;
+    }
+    
+    .map-note {
+        font-size: 12px;
+        color: #777;
+        margin-top: 0.5rem;
+    }
+    
+    #stats-view {
+        flex: 1;
+        background-color: white;
+        border-radius: 8px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        padding: 1rem;
+        max-height: 80vh;
+        overflow-y: auto;
+    }
+    
+    .stats-grid {
+        display: grid;
+        grid-template-columns: repeat(auto-fill, minmax(300px, 1fr));
+        gap: 1rem 2rem;
+    }
+    
+    .stats-grid h3 {
+        font-size: 1rem;
+        margin-bottom: 0.5rem;
+    }
+    
+    .stats-chart,
+    .stats-list {
+        list-style: none;
+        padding: 0;
+        margin: 0;
+    }
+    
+    .stats-list {
+        max-height: 300px;
+        overflow-y: auto;
+        columns: 2;
+    }
+    
+    .stats-item {
+        display: flex;
+        align-items: center;
+        gap: 8px;
+        width: 100%;
+        background: none;
+        color: #2c3e50;
+        padding: 2px 4px;
+        font-size: 12px;
+        text-align: left;
+    }
+    
+    .stats-item:hover,
+    .stats-item:focus {
+        background-color: #f0f0f0;
+    }
+    
+    .stats-label {
+        flex: 0 0 45%;
+        overflow: hidden;
+        text-overflow: ellipsis;
+        white-space: nowrap;
+    }
+    
+    .stats-chains .stats-label {
+        white-space: normal;
+    }
+    
+    .stats-bar {
+        flex: 1;
+        height: 10px;
+    }
+    
+    .stats-bar span {
         display: block;
-        margin: 10px 0;
+        height: 100%;
+        background-color: #d35400;
+        border-radius: 2px;
+    }
+    
+    .stats-value {
+        flex: 0 0 3em;
+        text-align: right;
+        color: #666;
+    }
+    
+    .stats-summary,
+    .stats-note,
+    .stats-empty {
+        color: #666;
+        font-size: 12px;
+    }
+    
+    #outline-view ul {
+        padding-left: 1.2rem;
+    }
+    
+    #outline-view li {
+        margin: 3px 0;
+    }
+    
+    .outline-sauce {
+        background: none;
+        color: #2c3e50;
+        padding: 0;
+        font-weight: bold;
+        text-decoration: underline;
+    }
+    
+    .outline-info, .outline-ingredients {
+        font-size: 12px;
+        color: #666;
+        margin-left: 5px;
+    }
+    
+    .search-container {
+        position: relative;
+    }
+    
+    #search-results {
+        position: absolute;
+        top: 100%;
+        left: 0;
+        right: 0;
+        z-index: 20;
+        margin: 2px 0 0;
+        padding: 0;
+        list-style: none;
+        background: white;
+        border: 1px solid #ddd;
         border-radius: 4px;
+        box-shadow: 0 2px 4px rgba(0, 0, 0, 0.1);
+        color: #333;
     }
     
-    .ingredients-list li {
+    .search-result {
         display: flex;
         justify-content: space-between;
+        gap: 10px;
+        padding: 5px 8px;
+        cursor: pointer;
+    }
+    
+    .search-result.active, .search-result:hover {
+        background: #eaf2fb;
+    }
+    
+    .search-result-info {
+        font-size: 11px;
+        color: #666;
+    }
+    
+    .source-toggles {
+        display: flex;
+        flex-wrap: wrap;
+        gap: 10px;
         align-items: center;
+        font-size: 14px;
+    }
+    
+    .source-remove {
+        background: none;
+        color: #666;
+        padding: 0 3px;
+    }
+    
+    .source-error {
+        color: #c0392b;
+    }
+    
+    .sauce-sources {
+        font-size: 12px;
+        color: #666;
+    }
+    
+    .graph-canvas {
+        position: absolute;
+        top: 0;
+        left: 0;
+    }
+    
+    #graph-container svg {
+        position: relative;
+    }
+    
+    #graph-container.dropping {
+        outline: 3px dashed #3498db;
+        outline-offset: -3px;
+    }
+    
+    #editor-panel {
+        border-bottom: 1px solid #eee;
+        padding-bottom: 0.5rem;
+        margin-bottom: 1rem;
+        font-size: 0.9rem;
+    }
+    
+    #editor-panel button:disabled {
+        opacity: 0.5;
+        cursor: default;
+    }
+    
+    #sauce-editor {
+        margin: 10px 0;
+    }
+    
+    #sauce-editor label {
+        display: block;
+        margin-bottom: 5px;
+    }
+    
+    #sauce-editor label.editor-checkbox input {
+        width: auto;
+    }
+    
+    #sauce-editor textarea {
+        width: 100%;
+        font: inherit;
+    }
+    
+    #sauce-editor fieldset {
+        border: 1px solid #eee;
+        margin-bottom: 5px;
+    }
+    
+    .editor-row {
+        display: flex;
+        gap: 5px;
         margin-bottom: 3px;
     }
     
-    .filter-btn {
-        font-size: 10px;
-        padding: 2px 5px;
-        background: #f0f0f0;
+    .editor-row input {
+        flex: 1;
+        width: auto;
+    }
+    
+    .editor-row [data-action="remove-row"] {
+        background: none;
+        color: #666;
+        padding: 0 3px;
+    }
+    
+    .draft-status {
+        font-size: 11px;
+        color: #666;
+        margin-left: 5px;
+    }
+    
+    #draft-list button {
+        padding: 0 5px;
+        font-size: 11px;
+    }
+    
+    .dietary-filter {
+        position: relative;
+        font-size: 14px;
+    }
+    
+    .dietary-filter summary {
+        cursor: pointer;
+    }
+    
+    .dietary-options {
+        position: absolute;
+        z-index: 10;
+        background: white;
         border: 1px solid #ddd;
-        border-radius: 3px;
+        border-radius: 4px;
+        padding: 5px 10px;
+        white-space: nowrap;
+    }
+    
+    .dietary-options label {
+        display: block;
+    }
+    
+    .full-recipe {
+        margin-top: 10px;
+    }
+    
+    .full-recipe > summary {
         cursor: pointer;
+        font-weight: bold;
     }
     
-    .sauce-component, .sauce-link {
-        color: #3498db;
+    .recipe-tree {
+        padding-left: 1rem;
+    }
+    
+    .recipe-component {
         cursor: pointer;
-        text-decoration: underline;
+        color: #3498db;
     }
     
-    .link.parent {
-        stroke: #999;
-        stroke-width: 2px;
+    .recipe-loop {
+        color: #c0392b;
     }
     
-    .link.ingredient {
-        stroke: #ddd;
-        stroke-width: 1px;
-        stroke-dasharray: 3, 3;
+    .recipe-depth {
+        font-size: 11px;
+        color: #999;
+    }
+    
+    .dietary-badges {
+        margin-bottom: 10px;
+    }
+    
+    .dietary-badge {
+        display: inline-block;
+        font-size: 11px;
+        padding: 1px 6px;
+        border-radius: 10px;
+        margin: 0 4px 4px 0;
+    }
+    
+    .dietary-badge.diet {
+        background: #d5f5e3;
+        color: #1e8449;
+    }
+    
+    .dietary-badge.contains {
+        background: #fdebd0;
+        color: #a04000;
+    }
+    
+    .dietary-badge.unknown {
+        background: #eee;
+        color: #777;
     }
     
     #filter-by-ingredient {
@@ -860,6 +5389,48 @@ document.head.insertAdjacentHTML('beforeend', `
         margin-bottom: 5px;
     }
     
+    .filter-tag.mode-require {
+        background: #e1f5fe;
+    }
+    
+    .filter-tag.mode-any {
+        background: #fff3e0;
+    }
+    
+    .filter-tag.mode-exclude {
+        background: #ffebee;
+    }
+    
+    .filter-mode {
+        font-size: 11px;
+        border: none;
+        background: transparent;
+    }
+    
+    .filter-remove {
+        background: none;
+        color: #666;
+        padding: 0 0 0 3px;
+    }
+    
+    .filter-op {
+        font-size: 11px;
+        font-weight: bold;
+        color: #777;
+        margin-right: 5px;
+    }
+    
+    .match-mode {
+        font-size: 12px;
+        margin-right: 10px;
+    }
+    
+    #exclude-ingredient {
+        margin-bottom: 10px;
+        padding: 5px 10px;
+        background: #555;
+    }
+    
     .filter-tag {
         background: #e1f5fe;
         padding: 3px 6px;
@@ -870,6 +5441,79 @@ document.head.insertAdjacentHTML('beforeend', `
         margin-bottom: 5px;
     }
     
+    #data-problems {
+        margin-top: 1rem;
+        border-top: 1px solid #eee;
+        padding-top: 0.5rem;
+        font-size: 12px;
+    }
+    
+    #benchmark-results {
+        margin-top: 1rem;
+        border-top: 1px solid #eee;
+        padding-top: 0.5rem;
+        font-size: 12px;
+    }
+    
+    #benchmark-results summary {
+        cursor: pointer;
+        font-weight: bold;
+    }
+    
+    #benchmark-results table {
+        width: 100%;
+        margin-top: 5px;
+        border-collapse: collapse;
+    }
+    
+    #benchmark-results td {
+        padding: 2px 4px;
+        border-bottom: 1px solid #f0f0f0;
+    }
+    
+    .benchmark-ms {
+        text-align: right;
+        font-variant-numeric: tabular-nums;
+    }
+    
+    #data-problems summary {
+        cursor: pointer;
+        color: #777;
+    }
+    
+    #data-problems.has-errors summary {
+        color: #c0392b;
+        font-weight: bold;
+    }
+    
+    .problems-list {
+        list-style: none;
+        max-height: 200px;
+        overflow-y: auto;
+        margin-top: 5px;
+    }
+    
+    .problem {
+        margin-bottom: 5px;
+    }
+    
+    .problem[data-id] {
+        cursor: pointer;
+    }
+    
+    .problem-level {
+        font-size: 10px;
+        text-transform: uppercase;
+        padding: 0 4px;
+        border-radius: 3px;
+        color: white;
+        background: #f39c12;
+    }
+    
+    .problem.error .problem-level {
+        background: #c0392b;
+    }
+    
     #clear-filters {
         background: #f44336;
         color: white;
@@ -0,0 +1,128 @@
+// Service worker: keeps the explorer working offline.
+// The app shell, D3 and data.json are precached. data.json is served from the
+// cache and refreshed in the background; when the refreshed copy differs, open
+// pages are told so they can offer a reload. Wikipedia thumbnails are cached
+// as they are viewed. Any other file, such as an extra dataset, comes from the
+// network, with the last copy kept for when it is offline.
+
+const CACHE_VERSION = 'v4';
+const SHELL_CACHE = `sauce-explorer-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `sauce-explorer-images-${CACHE_VERSION}`;
+const RUNTIME_CACHE = `sauce-explorer-runtime-${CACHE_VERSION}`;
+const DATA_URL = 'data.json';
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'script.js',
+    'dataset.js',
+    'countries.json',
+    'vendor/d3.v7.min.js',
+    'vendor/topojson-client.min.js',
+    'vendor/countries-110m.json',
+    'manifest.webmanifest',
+    'icons/icon-192.png',
+    'icons/icon-512.png',
+    DATA_URL
+];
+const PRECACHED = new Set(PRECACHE_URLS.map(path => new URL(path, self.location).href));
+// Only the main data.json; an extra dataset with the same file name is just another file
+const DATA_HREF = new URL(DATA_URL, self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(PRECACHE_URLS))
+            .then(() => self.skipWaiting())
+    );
+});
+
+// Drop caches left by older versions
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('sauce-explorer-') && ![SHELL_CACHE, IMAGE_CACHE, RUNTIME_CACHE].includes(key))
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    const path = url.origin + url.pathname;
+    if (url.origin === self.location.origin) {
+        if (path === DATA_HREF) {
+            event.respondWith(serveData(event));
+        } else if (request.mode === 'navigate' && PRECACHED.has(path)) {
+            // The page keeps its state in the query (?data=, ?benchmark=), so any query gets the cached page
+            event.respondWith(serveFromCache(request, SHELL_CACHE, { ignoreSearch: true }));
+        } else if (PRECACHED.has(url.href)) {
+            event.respondWith(serveFromCache(request, SHELL_CACHE));
+        } else {
+            event.respondWith(serveFromNetwork(request, RUNTIME_CACHE));
+        }
+    } else if (url.hostname === 'upload.wikimedia.org') {
+        event.respondWith(serveFromCache(request, IMAGE_CACHE));
+    }
+});
+
+// Cache first, falling back to the network and caching what comes back
+async function serveFromCache(request, cacheName, options = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(request, options);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Network first, keeping a copy of what comes back for when it is offline
+async function serveFromNetwork(request, cacheName) {
+    const cache = await caches.open(cacheName);
+    try {
+        const response = await fetch(request);
+        if (response.ok) cache.put(request, response.clone());
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Serve the cached data.json right away and refresh it in the background
+async function serveData(event) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(DATA_URL);
+    const refresh = refreshData(cache, cached && cached.clone());
+
+    if (cached) {
+        event.waitUntil(refresh.catch(() => {}));
+        return cached;
+    }
+    return refresh;
+}
+
+// Fetch data.json, store it, and tell open pages when it has changed
+async function refreshData(cache, cached) {
+    const response = await fetch(DATA_URL, { cache: 'no-cache' });
+    if (!response.ok) return response;
+
+    await cache.put(DATA_URL, response.clone());
+    if (cached) {
+        const [oldText, newText] = await Promise.all([cached.text(), response.clone().text()]);
+        if (oldText !== newText) {
+            const clients = await self.clients.matchAll({ type: 'window' });
+            clients.forEach(client => client.postMessage({ type: 'data-updated' }));
+        }
+    }
+    return response;
+}